@@ -0,0 +1,185 @@
+// ============================================================
+// HEIST — Gadgets
+// Every ability that runs on charges. Each role owns an arsenal of
+// gadgets (each at an upgrade tier, one more charge per tier) and
+// packs up to LOADOUT_SLOTS of them before the heist starts.
+// ============================================================
+const { floorOf, floorDist, isWalkable, isDown, noteDisturbance } = require('./logic');
+
+const LOADOUT_SLOTS = 3;
+const MAX_GADGET_TIER = 2;
+const STARTER_GADGETS = { thief: ['noisemaker', 'smoke'], drone: ['emp', 'decoy'] };
+const CAMERA_LOOP_MS = 10000;
+const TASER_MS = 8000;
+
+// Gadget effects. target: { x, y, dx, dy } — see targeting below.
+// Each returns true if it did something, which spends a charge.
+function throwNoise(state, t) {
+  let nx = t.x, ny = t.y;
+  for (let i = 0; i < 5; i++) {
+    const tx = nx + t.dx, ty = ny + t.dy;
+    if (tx < 0 || tx >= state.mapWidth || ty < 0 || ty >= state.mapHeight) break;
+    if (state.map[ty][tx] === '#') break;
+    nx = tx; ny = ty;
+  }
+  state.noisemakers.push({ x: nx, y: ny, timer: 5000 });
+  state.sounds.push('noise');
+  return true;
+}
+
+function smokeBomb(state, t) {
+  state.smokeClouds.push({ x: t.x, y: t.y, timer: 5000 });
+  state.sounds.push('smoke');
+  state.shakeEvents.push({ intensity: 2, duration: 200 });
+  return true;
+}
+
+// Opens an electronic door next to the thief. Unlike a hack, guards won't notice it
+function cloneKeycard(state, t) {
+  const door = state.doors.find(d => d.type === 'electronic' && !d.open && floorDist(state, d, t) === 1);
+  if (!door) return false;
+  door.open = true;
+  state.map[door.y][door.x] = '.';
+  state.mapVersion++;
+  state.sounds.push('doorOpen');
+  return true;
+}
+
+// Cuts through a one-tile wall the thief is facing, if there's floor on the far side
+function cutGlass(state, t) {
+  const wx = t.x + t.dx, wy = t.y + t.dy;
+  const bx = wx + t.dx, by = wy + t.dy;
+  if (!isWalkable(state, bx, by) || state.map[wy][wx] !== '#') return false;
+  const f = floorOf(state, t.x);
+  if (floorOf(state, wx) !== f || floorOf(state, bx) !== f) return false;
+  state.map[wy][wx] = '.';
+  state.mapVersion++;
+  noteDisturbance(state, wx, wy, 'wall');
+  state.sounds.push('cut');
+  return true;
+}
+
+function emp(state, t) {
+  for (const cam of state.cameras) {
+    if (!cam.active || floorDist(state, cam, t) > 5) continue;
+    cam.active = false;
+    state.map[cam.y][cam.x] = '.';
+    noteDisturbance(state, cam.x, cam.y, 'camera');
+  }
+  // Also freeze nearby guards
+  for (const guard of state.guards) {
+    if (isDown(guard) || floorDist(state, guard, t) > 3) continue;
+    guard.frozen = true;
+    guard.frozenTimer = 3000;
+    guard.alertLevel = 0;
+  }
+  state.sounds.push('emp');
+  state.shakeEvents.push({ intensity: 5, duration: 400 });
+  return true;
+}
+
+function decoy(state, t) {
+  state.decoys.push({ x: t.x, y: t.y, timer: 6000 });
+  state.sounds.push('decoy');
+  return true;
+}
+
+// The camera keeps turning but sees nothing, and nobody notices it was tampered with
+function loopCamera(state, t) {
+  const cam = state.cameras.find(c => c.x === t.x && c.y === t.y && c.active);
+  if (!cam) return false;
+  cam.loopTimer = CAMERA_LOOP_MS;
+  state.sounds.push('hack');
+  return true;
+}
+
+function tase(state, t) {
+  const guard = state.guards.find(g => g.x === t.x && g.y === t.y && !isDown(g));
+  if (!guard) return false;
+  guard.frozen = true;
+  guard.frozenTimer = TASER_MS;
+  guard.alertLevel = 0;
+  guard.alertTimer = 0;
+  guard.lastKnownThief = null;
+  guard.investigateTarget = null;
+  state.sounds.push('taser');
+  return true;
+}
+
+// targeting: 'self' — where the thief stands; 'direction' — the way the thief
+// aims (dx, dy), up by default; 'adjacent' — something next to the thief;
+// 'cursor' — under the drone cursor.
+// cost buys the gadget in the shop (0: every crew starts with it);
+// upgradeCost buys the first extra charge, and costs more each tier.
+const GADGETS = [
+  { id: 'noisemaker', role: 'thief', name: 'Noise Maker', desc: 'Thrown up to 5 tiles; guards nearby come to look',
+    charges: 2, cost: 0, upgradeCost: 500, targeting: 'direction', use: throwNoise },
+  { id: 'smoke', role: 'thief', name: 'Smoke Bomb', desc: 'Blocks sight around you for 5s',
+    charges: 1, cost: 0, upgradeCost: 700, targeting: 'self', use: smokeBomb },
+  { id: 'keycard', role: 'thief', name: 'Keycard Cloner', desc: 'Opens an electronic door next to you, leaving no trace',
+    charges: 2, cost: 900, upgradeCost: 600, targeting: 'adjacent', use: cloneKeycard },
+  { id: 'glass_cutter', role: 'thief', name: 'Glass Cutter', desc: 'Cuts a way through a thin wall',
+    charges: 1, cost: 1200, upgradeCost: 800, targeting: 'direction', use: cutGlass },
+  { id: 'emp', role: 'drone', name: 'EMP', desc: 'Kills cameras within 5 tiles and stuns guards within 3',
+    charges: 1, cost: 0, upgradeCost: 800, targeting: 'cursor', use: emp },
+  { id: 'decoy', role: 'drone', name: 'Decoy', desc: 'Guards nearby chase it like the thief for 6s',
+    charges: 1, cost: 0, upgradeCost: 600, targeting: 'cursor', use: decoy },
+  { id: 'camera_loop', role: 'drone', name: 'Camera Loop', desc: 'Blinds a camera for 10s without a trace',
+    charges: 2, cost: 800, upgradeCost: 500, targeting: 'cursor', use: loopCamera },
+  { id: 'taser', role: 'drone', name: 'Drone Taser', desc: 'Stuns a guard for 8s, no battery needed',
+    charges: 1, cost: 1000, upgradeCost: 700, targeting: 'cursor', use: tase },
+];
+
+function gadgetById(id) {
+  return GADGETS.find(g => g.id === id) || null;
+}
+
+function gadgetCharges(gadget, tier) {
+  return gadget.charges + tier;
+}
+
+// A role's arsenal and packed gadgets for a new level — carried over from
+// the last one (prev: its thief or drone), charges refilled
+function startingKit(role, prev) {
+  const arsenal = prev && prev.arsenal ? { ...prev.arsenal } : Object.fromEntries(STARTER_GADGETS[role].map(id => [id, 0]));
+  const ids = prev && prev.gadgets ? prev.gadgets.map(g => g.id) : STARTER_GADGETS[role];
+  return {
+    arsenal,
+    gadgets: ids.filter(id => id in arsenal).map(id => ({ id, charges: gadgetCharges(gadgetById(id), arsenal[id]) })),
+  };
+}
+
+// Packs a gadget from the role's arsenal, or unpacks it
+function equipGadget(state, role, id) {
+  if (state.phase !== 'loadout' || state.ready[role]) return;
+  const kit = state[role];
+  const gadget = gadgetById(id);
+  if (!gadget || gadget.role !== role || !(id in kit.arsenal)) return;
+  const i = kit.gadgets.findIndex(g => g.id === id);
+  if (i >= 0) kit.gadgets.splice(i, 1);
+  else if (kit.gadgets.length < LOADOUT_SLOTS) kit.gadgets.push({ id, charges: gadgetCharges(gadget, kit.arsenal[id]) });
+}
+
+// The heist starts once both roles are ready; until then either can change their mind
+function readyUp(state, role) {
+  if (state.phase !== 'loadout') return;
+  state.ready[role] = !state.ready[role];
+  if (state.ready.thief && state.ready.drone) state.phase = 'heist';
+}
+
+function useGadget(state, role, id, dx, dy) {
+  if (state.gameOver || state.gameWon || state.phase !== 'heist') return;
+  const gadget = gadgetById(id);
+  const packed = state[role].gadgets.find(g => g.id === id);
+  if (!gadget || gadget.role !== role || !packed || packed.charges <= 0) return;
+  const from = gadget.targeting === 'cursor' ? state.drone : state.thief;
+  const target = { x: from.x, y: from.y, dx: Math.sign(dx || 0), dy: Math.sign(dy || 0) };
+  if (target.dx && target.dy) target.dy = 0;
+  if (gadget.targeting === 'direction' && !target.dx && !target.dy) target.dy = -1;
+  if (gadget.use(state, target)) packed.charges--;
+}
+
+module.exports = {
+  LOADOUT_SLOTS, MAX_GADGET_TIER, STARTER_GADGETS, CAMERA_LOOP_MS, TASER_MS, GADGETS,
+  gadgetById, gadgetCharges, startingKit, equipGadget, readyUp, useGadget,
+};
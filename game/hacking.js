@@ -0,0 +1,121 @@
+// ============================================================
+// HEIST — Hacking minigames
+// Electronic doors, cameras and alarm panels don't give in to a
+// keypress: the drone gets a short puzzle against the clock.
+// Puzzles are rolled from the state's puzzle rng, and an answer is
+// checked here before the hack takes effect (see submitHack).
+// ============================================================
+const { nextRandom, shuffle } = require('./rng');
+
+// Puzzle difficulty: the level, plus a step for each tougher kind of target
+const TARGET_DIFFICULTY = { door: 0, camera: 1, panel: 2 };
+// Door keypads take a code; cameras and panels are rewired
+const TARGET_PUZZLE = { door: 'sequence', camera: 'route', panel: 'route' };
+const SEQUENCE_SHOW_MS = 600; // per symbol, before the code hides
+const HACK_TIME_PER_DIFFICULTY = 500; // ms off rules.hackTime, down to half of it
+const MAX_ANSWER = 64;
+
+function hackDifficulty(state, kind) {
+  return state.level + TARGET_DIFFICULTY[kind];
+}
+
+// 'sequence': a code of directions (0 up, 1 right, 2 down, 3 left), shown
+// for a moment and then entered from memory
+function sequencePuzzle(rs, difficulty) {
+  const length = Math.min(8, 3 + Math.floor(difficulty / 2));
+  const sequence = [];
+  for (let i = 0; i < length; i++) sequence.push(Math.floor(nextRandom(rs) * 4));
+  return { type: 'sequence', sequence, showMs: length * SEQUENCE_SHOW_MS };
+}
+
+// 'route': a size x size grid of nodes, numbered y * size + x, some of them
+// burnt out. Any chain of working neighbours from start (left edge) to end
+// (right edge) solves it.
+function routePuzzle(rs, difficulty) {
+  const size = Math.min(7, 4 + Math.floor(difficulty / 3));
+  const roll = (n) => Math.floor(nextRandom(rs) * n);
+  let x = 0, y = roll(size);
+  const start = y * size;
+  const wire = new Set([start]);
+  // Wander right with detours up and down, so there's always a way through
+  while (x < size - 1) {
+    const r = roll(3);
+    const ny = r === 0 ? y - 1 : r === 1 ? y + 1 : y;
+    if (ny !== y && ny >= 0 && ny < size && !wire.has(ny * size + x)) y = ny;
+    else x++;
+    wire.add(y * size + x);
+  }
+  const spare = [];
+  for (let n = 0; n < size * size; n++) if (!wire.has(n)) spare.push(n);
+  const blocked = shuffle(spare, () => nextRandom(rs)).slice(0, 2 + difficulty).sort((a, b) => a - b);
+  return { type: 'route', size, start, end: y * size + x, blocked };
+}
+
+// A hack in progress on the target at x, y: { kind, x, y, puzzle, timer, limit }
+function createHack(state, kind, x, y) {
+  const difficulty = hackDifficulty(state, kind);
+  const puzzle = TARGET_PUZZLE[kind] === 'sequence'
+    ? sequencePuzzle(state.puzzleRng, difficulty)
+    : routePuzzle(state.puzzleRng, difficulty);
+  const hackTime = state.rules.hackTime;
+  const limit = Math.max(Math.round(hackTime / 2), hackTime - difficulty * HACK_TIME_PER_DIFFICULTY);
+  return { kind, x, y, puzzle, timer: limit, limit };
+}
+
+function solvesPuzzle(puzzle, answer) {
+  if (!Array.isArray(answer) || !answer.length || answer.length > MAX_ANSWER || !answer.every(Number.isInteger)) return false;
+  if (puzzle.type === 'sequence') {
+    return answer.length === puzzle.sequence.length && answer.every((v, i) => v === puzzle.sequence[i]);
+  }
+  const { size, start, end, blocked } = puzzle;
+  if (answer[0] !== start || answer[answer.length - 1] !== end) return false;
+  const used = new Set();
+  for (let i = 0; i < answer.length; i++) {
+    const n = answer[i];
+    if (n < 0 || n >= size * size || blocked.includes(n) || used.has(n)) return false;
+    used.add(n);
+    if (i === 0) continue;
+    const p = answer[i - 1];
+    if (Math.abs(n % size - p % size) + Math.abs(Math.floor(n / size) - Math.floor(p / size)) !== 1) return false;
+  }
+  return true;
+}
+
+// A correct answer: the code, or the shortest route. For tests and the sim
+function solvePuzzle(puzzle) {
+  if (puzzle.type === 'sequence') return puzzle.sequence.slice();
+  const { size, start, end, blocked } = puzzle;
+  const from = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length) {
+    const n = queue.shift();
+    if (n === end) break;
+    const x = n % size, y = Math.floor(n / size);
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = x + dx, ny = y + dy, m = ny * size + nx;
+      if (nx < 0 || nx >= size || ny < 0 || ny >= size || from.has(m) || blocked.includes(m)) continue;
+      from.set(m, n);
+      queue.push(m);
+    }
+  }
+  const route = [];
+  for (let n = end; n !== null; n = from.get(n)) route.unshift(n);
+  return route;
+}
+
+// What the drone is shown: the code only until it hides
+function hackView(hack) {
+  if (!hack) return null;
+  const { kind, x, y, timer, limit, puzzle } = hack;
+  if (puzzle.type === 'route') return { kind, x, y, timer, limit, ...puzzle };
+  const shown = limit - timer < puzzle.showMs;
+  return {
+    kind, x, y, timer, limit,
+    type: 'sequence', length: puzzle.sequence.length, sequence: shown ? puzzle.sequence : null,
+  };
+}
+
+module.exports = {
+  TARGET_DIFFICULTY, TARGET_PUZZLE, SEQUENCE_SHOW_MS,
+  hackDifficulty, createHack, solvesPuzzle, solvePuzzle, hackView,
+};
@@ -0,0 +1,24 @@
+// ============================================================
+// HEIST — Game logic
+// Everything a room needs to run a heist, importable without
+// starting a server: `require('./game')`.
+// ============================================================
+module.exports = {
+  ...require('./rng'),
+  ...require('./rules'),
+  ...require('./objectives'),
+  ...require('./gadgets'),
+  ...require('./upgrades'),
+  ...require('./light'),
+  ...require('./hacking'),
+  ...require('./lockpick'),
+  ...require('./levelgen'),
+  ...require('./pathfinding'),
+  ...require('./levelfile'),
+  ...require('./state'),
+  ...require('./logic'),
+  ...require('./input'),
+  ...require('./snapshot'),
+  ...require('./replay'),
+  ...require('./sim'),
+};
@@ -0,0 +1,75 @@
+// ============================================================
+// HEIST — Input dispatch
+// Shared by live sockets and replay playback
+// ============================================================
+const {
+  floorOf, moveThief, startPickLock, stopPickLock, setPin, thiefSprint, thiefCrouch, thiefTakedown, thiefDrag,
+  droneHack, submitHack, dronePing,
+} = require('./logic');
+const { equipGadget, readyUp, useGadget } = require('./gadgets');
+
+// The only inputs before both roles are ready, and only then
+const LOADOUT_ACTIONS = ['equip', 'ready'];
+const INPUT_ACTIONS = [
+  ...LOADOUT_ACTIONS, 'gadget', 'move', 'hackSubmit',
+  'pickStart', 'pickSet', 'pickStop', 'sprint', 'crouch', 'takedown', 'drag',
+  'floorUp', 'floorDown', 'hack', 'ping',
+];
+
+// One tile up, down, left or right: the only moves there are
+function isStep(dx, dy) {
+  return Number.isInteger(dx) && Number.isInteger(dy) && Math.abs(dx) + Math.abs(dy) === 1;
+}
+
+function applyInput(state, inputRole, msg) {
+  if (inputRole !== 'thief' && inputRole !== 'drone') return;
+  if (msg.action === 'move' && !isStep(msg.dx, msg.dy)) return;
+  if ((state.phase === 'loadout') !== LOADOUT_ACTIONS.includes(msg.action)) return;
+  // Mid-hack, the drone's hands are full with the puzzle
+  if (inputRole === 'drone' && state.drone.hack) {
+    if (msg.action === 'hackSubmit') submitHack(state, msg.answer);
+    return;
+  }
+  switch (msg.action) {
+    case 'equip': equipGadget(state, inputRole, msg.gadget); return;
+    case 'ready': readyUp(state, inputRole); return;
+    case 'gadget': useGadget(state, inputRole, msg.gadget, msg.dx, msg.dy); return;
+  }
+  if (inputRole === 'thief') {
+    switch(msg.action) {
+      case 'move': moveThief(state, msg.dx, msg.dy); break;
+      case 'pickStart': startPickLock(state); break;
+      case 'pickSet': setPin(state); break;
+      case 'pickStop': stopPickLock(state); break;
+      case 'sprint': thiefSprint(state); break;
+      case 'crouch': thiefCrouch(state); break;
+      case 'takedown': thiefTakedown(state); break;
+      case 'drag': thiefDrag(state); break;
+    }
+  } else {
+    switch(msg.action) {
+      case 'move': {
+        // The cursor stays on the floor it's looking at
+        const x0 = floorOf(state, state.drone.x) * state.floorWidth;
+        const nx = state.drone.x + msg.dx;
+        const ny = state.drone.y + msg.dy;
+        if (nx >= x0 && nx < x0 + state.floorWidth && ny >= 0 && ny < state.mapHeight) {
+          state.drone.x = nx;
+          state.drone.y = ny;
+        }
+        break;
+      }
+      case 'floorUp':
+      case 'floorDown': {
+        const step = msg.action === 'floorUp' ? 1 : state.floorCount - 1;
+        const f = floorOf(state, state.drone.x);
+        state.drone.x += (((f + step) % state.floorCount) - f) * state.floorWidth;
+        break;
+      }
+      case 'hack': droneHack(state); break;
+      case 'ping': dronePing(state, state.drone.x, state.drone.y); break;
+    }
+  }
+}
+
+module.exports = { LOADOUT_ACTIONS, INPUT_ACTIONS, isStep, applyInput };
@@ -0,0 +1,225 @@
+// ============================================================
+// HEIST — Level files
+// Hand-authored levels as JSON. The map carries every tile glyph;
+// entities that need more than a position get their own list,
+// and each entry must sit on its matching glyph:
+//
+//   {
+//     "format": "heist-level", "version": 1,
+//     "name": "Bank Job",
+//     "level": 3,                 difficulty 1-5 (guard speed)
+//     "floorWidth": 40,           optional, for multi-floor buildings
+//     "map": ["#####", ...],      rows of # . D L * $ ^ A C Z T S > H E W
+//     "light": ["00122", ...],    optional, 0 dark / 1 dim / 2 lit per tile — fully lit if left out
+//     "thiefStart": { "x": 1, "y": 1 },
+//     "doors":   [{ "x", "y", "type": "electronic" | "physical" }],   D / L
+//     "cameras": [{ "x", "y", "dir": 0-3 }],                          C (0 = up, clockwise)
+//     "lasers":  [{ "x", "y", "period": ms, "offset": ms }],          Z
+//     "safes":   [{ "x", "y", "value": points }],                     S
+//     "guards":  [{ "x", "y", "route": [{ "x", "y" }, ...] }],
+//     "objectives": ["ghost", "hacker"]   optional, picked from the seed if left out
+//   }
+//
+// Loot, charging pads, alarm panels, tripwires, the exit, stairs,
+// elevators and light switches come from their glyphs alone. A light
+// switch works the lit area it stands in.
+// ============================================================
+const { createGuard, linkFloors, findUnreachable } = require('./levelgen');
+const { LIGHT_LIT } = require('./light');
+const { OBJECTIVE_TEMPLATES } = require('./objectives');
+
+const LEVEL_FORMAT = 'heist-level';
+const LEVEL_FORMAT_VERSION = 1;
+const LEVEL_GLYPHS = '#.DL*$^ACZTS>HEW';
+const LEVEL_LIMITS = { width: 160, height: 60, guards: 40, route: 20, objectives: 4 };
+
+// Entity lists tied to map glyphs
+const GLYPH_LISTS = {
+  doors: { glyphs: 'DL', glyphOf: d => ({ electronic: 'D', physical: 'L' })[d.type] },
+  cameras: { glyphs: 'C', glyphOf: () => 'C' },
+  lasers: { glyphs: 'Z', glyphOf: () => 'Z' },
+  safes: { glyphs: 'S', glyphOf: () => 'S' },
+};
+
+function isPoint(p, width, height) {
+  return p !== null && typeof p === 'object' && Number.isInteger(p.x) && Number.isInteger(p.y) &&
+    p.x >= 0 && p.x < width && p.y >= 0 && p.y < height;
+}
+
+function isInt(v, min, max) {
+  return Number.isInteger(v) && v >= min && v <= max;
+}
+
+// Returns a list of problems; an empty list means the file is playable
+function validateLevelFile(file) {
+  if (file === null || typeof file !== 'object' || Array.isArray(file)) return ['Level file must be a JSON object'];
+  const errors = [];
+  if (file.format !== LEVEL_FORMAT) errors.push(`format must be "${LEVEL_FORMAT}"`);
+  if (file.version !== LEVEL_FORMAT_VERSION) errors.push(`Unsupported version ${file.version}`);
+  if (typeof file.name !== 'string' || !file.name.trim() || file.name.length > 60) errors.push('name must be 1-60 characters');
+  if (!isInt(file.level, 1, 5)) errors.push('level must be a whole number from 1 to 5');
+
+  // Map shape first — nothing else can be checked without it
+  const map = file.map;
+  if (!Array.isArray(map) || !map.length || !map.every(r => typeof r === 'string')) {
+    return errors.concat('map must be an array of strings');
+  }
+  const width = map[0].length, height = map.length;
+  if (width < 3 || width > LEVEL_LIMITS.width || height < 3 || height > LEVEL_LIMITS.height) {
+    return errors.concat(`map must be 3-${LEVEL_LIMITS.width} wide and 3-${LEVEL_LIMITS.height} tall`);
+  }
+  map.forEach((row, y) => {
+    if (row.length !== width) errors.push(`map row ${y} is ${row.length} wide, expected ${width}`);
+    const bad = [...row].find(c => !LEVEL_GLYPHS.includes(c));
+    if (bad !== undefined) errors.push(`map row ${y} has unknown tile '${bad}'`);
+  });
+  const floorWidth = file.floorWidth === undefined ? width : file.floorWidth;
+  if (!isInt(floorWidth, 3, width) || width % floorWidth !== 0) errors.push('floorWidth must divide the map width');
+  if (file.light !== undefined && (!Array.isArray(file.light) || file.light.length !== height ||
+    !file.light.every(r => typeof r === 'string' && r.length === width && /^[012]*$/.test(r)))) {
+    errors.push(`light must be ${height} rows of ${width} digits 0-2`);
+  }
+  if (errors.length) return errors;
+
+  const tilesOf = (glyphs) => {
+    const out = [];
+    map.forEach((row, y) => [...row].forEach((c, x) => { if (glyphs.includes(c)) out.push({ x, y }); }));
+    return out;
+  };
+  const walkable = (p) => map[p.y][p.x] !== '#';
+
+  if (!isPoint(file.thiefStart, width, height) || map[file.thiefStart.y][file.thiefStart.x] !== '.') {
+    errors.push('thiefStart must be a floor tile (.) inside the map');
+  }
+  if (tilesOf('>').length !== 1) errors.push('map needs exactly one exit (>)');
+  if (file.light) {
+    for (const w of tilesOf('W')) {
+      if (file.light[w.y][w.x] !== String(LIGHT_LIT)) errors.push(`Light switch at ${w.x},${w.y} must be on a lit (2) tile`);
+    }
+  }
+  if (!tilesOf('*').length) errors.push('map needs at least one primary loot (*)');
+
+  for (const [key, { glyphs, glyphOf }] of Object.entries(GLYPH_LISTS)) {
+    const list = file[key] === undefined ? [] : file[key];
+    if (!Array.isArray(list)) { errors.push(`${key} must be an array`); continue; }
+    const placed = new Set();
+    list.forEach((e, i) => {
+      if (!isPoint(e, width, height)) { errors.push(`${key}[${i}] needs an x and y inside the map`); return; }
+      const want = glyphOf(e);
+      if (!want) errors.push(`${key}[${i}] has unknown type ${e.type}`);
+      else if (map[e.y][e.x] !== want) errors.push(`${key}[${i}] at ${e.x},${e.y} is on '${map[e.y][e.x]}', expected '${want}'`);
+      if (placed.has(`${e.x},${e.y}`)) errors.push(`${key}[${i}] duplicates ${e.x},${e.y}`);
+      placed.add(`${e.x},${e.y}`);
+      if (key === 'cameras' && !isInt(e.dir, 0, 3)) errors.push(`cameras[${i}].dir must be 0-3`);
+      if (key === 'lasers' && !isInt(e.period, 500, 20000)) errors.push(`lasers[${i}].period must be 500-20000 ms`);
+      if (key === 'lasers' && e.offset !== undefined && !isInt(e.offset, 0, e.period)) errors.push(`lasers[${i}].offset must be 0 to its period`);
+      if (key === 'safes' && !isInt(e.value, 0, 100000)) errors.push(`safes[${i}].value must be 0-100000`);
+    });
+    for (const t of tilesOf(glyphs)) {
+      if (!placed.has(`${t.x},${t.y}`)) errors.push(`'${map[t.y][t.x]}' at ${t.x},${t.y} has no entry in ${key}`);
+    }
+  }
+
+  const guards = file.guards === undefined ? [] : file.guards;
+  if (!Array.isArray(guards) || guards.length > LEVEL_LIMITS.guards) {
+    errors.push(`guards must be an array of at most ${LEVEL_LIMITS.guards}`);
+  } else {
+    guards.forEach((g, i) => {
+      if (!isPoint(g, width, height) || !walkable(g)) { errors.push(`guards[${i}] must stand on a walkable tile`); return; }
+      if (!Array.isArray(g.route) || !g.route.length || g.route.length > LEVEL_LIMITS.route) {
+        errors.push(`guards[${i}].route needs 1-${LEVEL_LIMITS.route} waypoints`);
+      } else if (!g.route.every(p => isPoint(p, width, height) && walkable(p))) {
+        errors.push(`guards[${i}].route has a waypoint off the map or in a wall`);
+      }
+    });
+  }
+
+  if (file.objectives !== undefined) {
+    const ids = file.objectives;
+    if (!Array.isArray(ids) || ids.length > LEVEL_LIMITS.objectives || new Set(ids).size !== ids.length) {
+      errors.push(`objectives must be up to ${LEVEL_LIMITS.objectives} different ids`);
+    } else {
+      for (const id of ids) {
+        if (!OBJECTIVE_TEMPLATES.some(t => t.id === id)) errors.push(`Unknown objective ${id}`);
+      }
+    }
+  }
+
+  // Building rules: stairs come in pairs a floor apart, one elevator per floor or none
+  const floorCount = width / floorWidth;
+  for (const s of tilesOf('H')) {
+    const up = s.x + floorWidth, down = s.x - floorWidth;
+    if (map[s.y][up] !== 'H' && map[s.y][down] !== 'H') errors.push(`Stairs at ${s.x},${s.y} have no stairs a floor above or below`);
+  }
+  const lifts = tilesOf('E');
+  if (lifts.length && (lifts.length !== floorCount || new Set(lifts.map(e => Math.floor(e.x / floorWidth))).size !== floorCount)) {
+    errors.push('An elevator needs exactly one E on every floor');
+  }
+  if (errors.length) return errors;
+
+  for (const t of findUnreachable(levelFromFile(file))) {
+    errors.push(`'${map[t.y][t.x]}' at ${t.x},${t.y} can't be reached from the thief start`);
+  }
+  return errors;
+}
+
+// Level data in the shape generateLevel returns. Expects a validated file.
+function levelFromFile(file) {
+  const map = file.map.map(r => r.split(''));
+  const width = map[0].length, height = map.length;
+  const tiles = (glyph, make) => {
+    const out = [];
+    map.forEach((row, y) => row.forEach((c, x) => { if (c === glyph) out.push(make(x, y)); }));
+    return out;
+  };
+  const ld = {
+    name: file.name,
+    width, height, map, rooms: [],
+    doors: (file.doors || []).map(d => ({ x: d.x, y: d.y, type: d.type, open: false })),
+    loot: [
+      ...tiles('*', (x, y) => ({ x, y, primary: true, collected: false })),
+      ...tiles('$', (x, y) => ({ x, y, primary: false, collected: false })),
+    ],
+    chargingPads: tiles('^', (x, y) => ({ x, y })),
+    alarmPanels: tiles('A', (x, y) => ({ x, y })),
+    switches: tiles('W', (x, y) => ({ x, y })),
+    light: file.light ? file.light.map(r => [...r].map(Number)) : null,
+    cameras: (file.cameras || []).map(c => ({ x: c.x, y: c.y, active: true, dir: c.dir })),
+    guards: (file.guards || []).map(g => createGuard(g.x, g.y, g.route.map(p => ({ x: p.x, y: p.y })), file.level)),
+    thiefStart: { x: file.thiefStart.x, y: file.thiefStart.y },
+    exitPos: tiles('>', (x, y) => ({ x, y }))[0],
+    lasers: (file.lasers || []).map(l => ({
+      x: l.x, y: l.y, active: true, period: l.period, timer: l.offset || 0,
+      horizontal: map[l.y][l.x - 1] === '#' || map[l.y][l.x + 1] === '#',
+    })),
+    tripwires: tiles('T', (x, y) => ({ x, y, triggered: false })),
+    safes: (file.safes || []).map(s => ({ x: s.x, y: s.y, open: false, lootValue: s.value })),
+    objectives: file.objectives || null,
+  };
+  return linkFloors(ld, file.floorWidth || width);
+}
+
+// A level file from level data — e.g. a generated level, as a starting point for the editor
+function levelToFile(ld, name, level) {
+  const file = {
+    format: LEVEL_FORMAT,
+    version: LEVEL_FORMAT_VERSION,
+    name,
+    level,
+    map: ld.map.map(r => r.join('')),
+    thiefStart: { x: ld.thiefStart.x, y: ld.thiefStart.y },
+    doors: ld.doors.map(d => ({ x: d.x, y: d.y, type: d.type })),
+    cameras: ld.cameras.map(c => ({ x: c.x, y: c.y, dir: c.dir })),
+    lasers: ld.lasers.map(l => ({ x: l.x, y: l.y, period: l.period, offset: l.timer })),
+    safes: ld.safes.map(s => ({ x: s.x, y: s.y, value: s.lootValue })),
+    guards: ld.guards.map(g => ({ x: g.x, y: g.y, route: g.route.map(p => ({ x: p.x, y: p.y })) })),
+  };
+  if (ld.floorWidth && ld.floorWidth !== ld.width) file.floorWidth = ld.floorWidth;
+  if (ld.light) file.light = ld.light.map(r => r.join(''));
+  return file;
+}
+
+module.exports = {
+  LEVEL_FORMAT, LEVEL_FORMAT_VERSION, LEVEL_GLYPHS, LEVEL_LIMITS,
+  validateLevelFile, levelFromFile, levelToFile,
+};
@@ -0,0 +1,489 @@
+// ============================================================
+// HEIST — Map generator
+// ============================================================
+const { createRng, shuffle } = require('./rng');
+const { DEFAULT_RULES, guardSpeed } = require('./rules');
+const { buildLightMap, placeLightSwitches } = require('./light');
+
+function createGuard(x, y, route, level) {
+  return {
+    x, y, route, routeIdx: 0, dir: 0,
+    frozen: false, frozenTimer: 0,
+    unconscious: false, discovered: false, // knocked out by the thief, and whether anyone's found the body
+    speed: guardSpeed(DEFAULT_RULES, level), moveTimer: 0,
+    alertLevel: 0, // 0=patrol, 1=suspicious, 2=alert
+    alertTimer: 0,
+    lastKnownThief: null,
+    investigateTarget: null,
+  };
+}
+
+const MAX_LAYOUT_ATTEMPTS = 8;
+const MAX_BUILD_ATTEMPTS = 20;
+
+// Levels 4 and 5 are bigger buildings
+function floorsForLevel(level) {
+  return level >= 5 ? 3 : level >= 4 ? 2 : 1;
+}
+
+// Builds the level, starting over from a fresh sub-seed when a floor comes up
+// short of minRooms or the stairs or repairs fail. The first try uses rng
+// itself, so a seed that built fine before still gets the same level.
+function generateLevel(level, rng) {
+  const tally = { attempts: 0 };
+  for (let build = 1; ; build++) {
+    const buildRng = build === 1 ? rng : createRng(Math.floor(rng() * 0x100000000));
+    try {
+      const ld = buildLevel(level, buildRng, tally);
+      ld.stats.builds = build;
+      return ld;
+    } catch (e) {
+      if (build >= MAX_BUILD_ATTEMPTS) throw new Error(`Level ${level} could not be generated: ${e.message}`);
+    }
+  }
+}
+
+// Rolls each floor's layout until it has at least minRooms, stacks the
+// floors, then carves corridors to anything the thief could not reach
+function buildLevel(level, rng, tally) {
+  const floorCount = floorsForLevel(level);
+  const floors = [];
+  for (let f = 0; f < floorCount; f++) {
+    let floor = null;
+    for (let a = 0; a < MAX_LAYOUT_ATTEMPTS && !floor; a++) {
+      tally.attempts++;
+      const next = layoutLevel(level, rng, { index: f, count: floorCount });
+      if (next.rooms.length >= next.stats.minRooms) floor = next;
+    }
+    if (!floor) throw new Error(`Floor ${f} has too few rooms`);
+    floors.push(floor);
+  }
+  const ld = stackFloors(floors, rng);
+  const repairs = repairLevel(ld);
+  placeLightSwitches(ld);
+  ld.light = buildLightMap(ld);
+  ld.stats.floors = floorCount;
+  ld.stats.attempts = tally.attempts;
+  ld.stats.repairs = repairs;
+  ld.stats.doors = ld.doors.length;
+  ld.stats.reachableTiles = countReachable(ld);
+  return ld;
+}
+
+// One floor of the building. Floor 0 holds the thief start, the top floor the
+// exit; primary loot is shared out between floors and the security gets
+// thinned so a whole building carries about 1.5x a single floor's worth.
+function layoutLevel(level, rng, floor = { index: 0, count: 1 }) {
+  const W = 40, H = 30;
+  const perFloor = (n) => floor.count === 1 ? n : Math.ceil(n * 1.5 / floor.count);
+  const share = (n) => Math.floor(n * (floor.index + 1) / floor.count) - Math.floor(n * floor.index / floor.count);
+  const map = [];
+  for (let y = 0; y < H; y++) {
+    map[y] = [];
+    for (let x = 0; x < W; x++) map[y][x] = '#';
+  }
+
+  const rooms_ = [];
+  const minRooms = 6 + level;
+  const maxRooms = 8 + level * 2;
+  const targetRooms = minRooms + Math.floor(rng() * (maxRooms - minRooms + 1));
+
+  for (let attempt = 0; attempt < 400 && rooms_.length < targetRooms; attempt++) {
+    const rw = 4 + Math.floor(rng() * 5);
+    const rh = 3 + Math.floor(rng() * 4);
+    const rx = 1 + Math.floor(rng() * (W - rw - 2));
+    const ry = 1 + Math.floor(rng() * (H - rh - 2));
+    let overlap = false;
+    for (const r of rooms_) {
+      if (rx - 1 < r.x + r.w && rx + rw + 1 > r.x && ry - 1 < r.y + r.h && ry + rh + 1 > r.y) {
+        overlap = true; break;
+      }
+    }
+    if (overlap) continue;
+    rooms_.push({ x: rx, y: ry, w: rw, h: rh });
+    for (let dy = 0; dy < rh; dy++)
+      for (let dx = 0; dx < rw; dx++)
+        map[ry + dy][rx + dx] = '.';
+  }
+
+  // Connect rooms
+  const connected = [0];
+  const unconnected = rooms_.map((_, i) => i).slice(1);
+  while (unconnected.length > 0) {
+    let bestDist = Infinity, bestC = 0, bestU = 0;
+    for (const ci of connected) {
+      for (const ui of unconnected) {
+        const cx = rooms_[ci].x + Math.floor(rooms_[ci].w / 2);
+        const cy = rooms_[ci].y + Math.floor(rooms_[ci].h / 2);
+        const ux = rooms_[ui].x + Math.floor(rooms_[ui].w / 2);
+        const uy = rooms_[ui].y + Math.floor(rooms_[ui].h / 2);
+        const d = Math.abs(cx - ux) + Math.abs(cy - uy);
+        if (d < bestDist) { bestDist = d; bestC = ci; bestU = ui; }
+      }
+    }
+    const r1 = rooms_[bestC], r2 = rooms_[bestU];
+    let x1 = r1.x + Math.floor(r1.w / 2), y1 = r1.y + Math.floor(r1.h / 2);
+    let x2 = r2.x + Math.floor(r2.w / 2), y2 = r2.y + Math.floor(r2.h / 2);
+    let cx = x1, cy = y1;
+    while (cx !== x2) { if (map[cy][cx] === '#') map[cy][cx] = '.'; cx += cx < x2 ? 1 : -1; }
+    while (cy !== y2) { if (map[cy][cx] === '#') map[cy][cx] = '.'; cy += cy < y2 ? 1 : -1; }
+    connected.push(bestU);
+    unconnected.splice(unconnected.indexOf(bestU), 1);
+  }
+
+  // Place doors
+  const doors = [];
+  const eDoorPositions = [];
+  const pDoorPositions = [];
+  for (let y = 1; y < H - 1; y++) {
+    for (let x = 1; x < W - 1; x++) {
+      if (map[y][x] !== '.') continue;
+      const hWall = map[y][x-1] === '#' && map[y][x+1] === '#' && map[y-1][x] === '.' && map[y+1][x] === '.';
+      const vWall = map[y-1][x] === '#' && map[y+1][x] === '#' && map[y][x-1] === '.' && map[y][x+1] === '.';
+      if ((hWall || vWall) && rng() < 0.35) {
+        if (rng() < 0.5) eDoorPositions.push({ x, y });
+        else pDoorPositions.push({ x, y });
+      }
+    }
+  }
+  const maxEDoors = perFloor(3 + level);
+  const maxPDoors = perFloor(2 + level);
+  const eDoors = shuffle(eDoorPositions, rng).slice(0, maxEDoors);
+  const pDoors = shuffle(pDoorPositions, rng).slice(0, maxPDoors);
+  eDoors.forEach(d => { map[d.y][d.x] = 'D'; doors.push({ x: d.x, y: d.y, type: 'electronic', open: false }); });
+  pDoors.forEach(d => { map[d.y][d.x] = 'L'; doors.push({ x: d.x, y: d.y, type: 'physical', open: false }); });
+
+  function getFloorTiles() {
+    const tiles = [];
+    for (let y = 0; y < H; y++)
+      for (let x = 0; x < W; x++)
+        if (map[y][x] === '.') tiles.push({ x, y });
+    return tiles;
+  }
+  function pickAndRemove(tiles) {
+    const idx = Math.floor(rng() * tiles.length);
+    return tiles.splice(idx, 1)[0];
+  }
+  function tileInRoom(tile, room) {
+    return tile.x >= room.x && tile.x < room.x + room.w && tile.y >= room.y && tile.y < room.y + room.h;
+  }
+
+  const floors = getFloorTiles();
+
+  // Thief in first room
+  let thiefPos = null;
+  if (floor.index === 0) {
+    const thiefRoom = rooms_[0];
+    for (let i = floors.length - 1; i >= 0; i--) {
+      if (tileInRoom(floors[i], thiefRoom)) { thiefPos = floors.splice(i, 1)[0]; break; }
+    }
+    if (!thiefPos) thiefPos = pickAndRemove(floors);
+  }
+
+  // Exit in last room
+  let exitPos = null;
+  if (floor.index === floor.count - 1) {
+    const exitRoom = rooms_[rooms_.length - 1];
+    for (let i = floors.length - 1; i >= 0; i--) {
+      if (tileInRoom(floors[i], exitRoom)) { exitPos = floors.splice(i, 1)[0]; break; }
+    }
+    if (!exitPos) exitPos = pickAndRemove(floors);
+    map[exitPos.y][exitPos.x] = '>';
+  }
+
+  // Loot
+  const loot = [];
+  const primaryCount = share(3);
+  for (let i = 0; i < primaryCount; i++) {
+    const p = pickAndRemove(floors);
+    if (p) { map[p.y][p.x] = '*'; loot.push({ x: p.x, y: p.y, primary: true, collected: false }); }
+  }
+  const bonusCount = 1 + Math.floor(rng() * 2);
+  for (let i = 0; i < bonusCount; i++) {
+    const p = pickAndRemove(floors);
+    if (p) { map[p.y][p.x] = '$'; loot.push({ x: p.x, y: p.y, primary: false, collected: false }); }
+  }
+
+  // Charging pads
+  const chargingPads = [];
+  const padCount = floor.count === 1 ? 2 : 1;
+  for (let i = 0; i < padCount; i++) {
+    const p = pickAndRemove(floors);
+    if (p) { map[p.y][p.x] = '^'; chargingPads.push({ x: p.x, y: p.y }); }
+  }
+
+  // Alarm panels — more on higher levels
+  const alarmPanels = [];
+  const panelCount = perFloor(1 + Math.floor(level / 2));
+  for (let i = 0; i < panelCount; i++) {
+    const ap = pickAndRemove(floors);
+    if (ap) { map[ap.y][ap.x] = 'A'; alarmPanels.push({ x: ap.x, y: ap.y }); }
+  }
+
+  // Cameras
+  const cameras = [];
+  const camCount = perFloor(2 + level);
+  for (let i = 0; i < camCount; i++) {
+    const p = pickAndRemove(floors);
+    if (p) { map[p.y][p.x] = 'C'; cameras.push({ x: p.x, y: p.y, active: true, dir: Math.floor(rng() * 4) }); }
+  }
+
+  // Laser grids — appear from level 2+
+  const lasers = [];
+  if (level >= 2) {
+    const laserCount = perFloor(1 + level);
+    for (let i = 0; i < laserCount; i++) {
+      const p = pickAndRemove(floors);
+      if (p) {
+        map[p.y][p.x] = 'Z';
+        // Determine orientation: horizontal or vertical based on neighbors
+        const horizontal = map[p.y][p.x - 1] === '#' || map[p.y][p.x + 1] === '#';
+        lasers.push({
+          x: p.x, y: p.y,
+          active: true,
+          period: 3000 + Math.floor(rng() * 2000), // 3-5 second cycle
+          timer: Math.floor(rng() * 3000), // random start offset
+          horizontal,
+        });
+      }
+    }
+  }
+
+  // Tripwires — appear from level 2+
+  const tripwires = [];
+  if (level >= 2) {
+    const tripCount = perFloor(Math.min(level, 3));
+    for (let i = 0; i < tripCount; i++) {
+      const p = pickAndRemove(floors);
+      if (p) {
+        map[p.y][p.x] = 'T';
+        tripwires.push({ x: p.x, y: p.y, triggered: false });
+      }
+    }
+  }
+
+  // Safes — appear from level 3+ (require both players to open)
+  const safes = [];
+  if (level >= 3) {
+    const safeCount = perFloor(Math.min(level - 1, 3));
+    for (let i = 0; i < safeCount; i++) {
+      const p = pickAndRemove(floors);
+      if (p) {
+        map[p.y][p.x] = 'S';
+        safes.push({ x: p.x, y: p.y, open: false, lootValue: 1500 });
+      }
+    }
+  }
+
+  // Guards with alert levels. Routes loop through the guard's own room and
+  // its two nearest neighbours that can be reached without opening a door.
+  const guards = [];
+  const guardCount = perFloor(3 + Math.min(level, 3));
+  const roomPoint = (room) => ({
+    x: room.x + 1 + Math.floor(rng() * Math.max(1, room.w - 2)),
+    y: room.y + 1 + Math.floor(rng() * Math.max(1, room.h - 2)),
+  });
+  const roomCenter = (room) => ({ x: room.x + Math.floor(room.w / 2), y: room.y + Math.floor(room.h / 2) });
+  for (let i = 0; i < guardCount; i++) {
+    const roomIdx = (i + 1) % rooms_.length;
+    const room = rooms_[roomIdx];
+    const { x: gx, y: gy } = roomPoint(room);
+    const route = [{ x: gx, y: gy }];
+    const open = floodFrom(map, { x: gx, y: gy }, t => t === '#' || t === 'D' || t === 'L' || t === 'S');
+    const home = roomCenter(room);
+    const patrolRooms = [room, ...rooms_
+      .filter(r => r !== room && open[roomCenter(r).y][roomCenter(r).x])
+      .sort((a, b) => {
+        const ca = roomCenter(a), cb = roomCenter(b);
+        return (Math.abs(ca.x - home.x) + Math.abs(ca.y - home.y)) - (Math.abs(cb.x - home.x) + Math.abs(cb.y - home.y));
+      })
+      .slice(0, 2)];
+    const waypointCount = 2 + Math.floor(rng() * 3);
+    for (let w = 0; w < waypointCount; w++) {
+      const p = roomPoint(patrolRooms[(w + 1) % patrolRooms.length]);
+      if (open[p.y][p.x]) route.push(p);
+    }
+    guards.push(createGuard(gx, gy, route, level));
+  }
+
+  return {
+    width: W, height: H, map, rooms: rooms_, doors, loot, chargingPads, alarmPanels,
+    cameras, guards, thiefStart: thiefPos, exitPos, lasers, tripwires, safes,
+    stats: { rooms: rooms_.length, minRooms, targetRooms },
+  };
+}
+
+// ============================================================
+// FLOORS — a building is its floors laid side by side in one wide
+// map (floor f spans x = f*W .. f*W+W-1), so movement, vision and
+// pathfinding work unchanged. Each floor keeps its outer wall, so
+// stairs (H) and the elevator (E) are the only ways between them.
+// ============================================================
+function stackFloors(floors, rng) {
+  const W = floors[0].width, n = floors.length;
+  if (n === 1) return linkFloors(floors[0], W);
+  const ld = {
+    width: W * n, height: floors[0].height,
+    map: floors[0].map.map((_, y) => floors.flatMap(f => f.map[y])),
+    rooms: [], doors: [], loot: [], chargingPads: [], alarmPanels: [], cameras: [], guards: [],
+    thiefStart: floors[0].thiefStart, exitPos: null, lasers: [], tripwires: [], safes: [],
+    stats: { rooms: 0, minRooms: 0, targetRooms: 0 },
+  };
+  const shift = (p, ox) => ({ ...p, x: p.x + ox });
+  floors.forEach((f, i) => {
+    const ox = i * W;
+    for (const key of ['rooms', 'doors', 'loot', 'chargingPads', 'alarmPanels', 'cameras', 'lasers', 'tripwires', 'safes']) {
+      ld[key].push(...f[key].map(p => shift(p, ox)));
+    }
+    ld.guards.push(...f.guards.map(g => ({ ...shift(g, ox), route: g.route.map(p => shift(p, ox)) })));
+    if (f.exitPos) ld.exitPos = shift(f.exitPos, ox);
+    for (const k of Object.keys(ld.stats)) ld.stats[k] += f.stats[k];
+  });
+
+  // A room tile on floor f whose tile on every floor in `span` is free floor
+  // (or wall above/below, which the repair pass will carve a way to)
+  const pickShaft = (f, span) => {
+    for (let tries = 0; tries < 200; tries++) {
+      const room = floors[f].rooms[Math.floor(rng() * floors[f].rooms.length)];
+      const x = room.x + Math.floor(rng() * room.w);
+      const y = room.y + Math.floor(rng() * room.h);
+      const free = span.every(i => ld.map[y][i * W + x] === '.' || (i !== f && ld.map[y][i * W + x] === '#'));
+      if (free) return { x, y };
+    }
+    throw new Error(`No room for a shaft on floor ${f}`);
+  };
+  // Two staircases between each pair of neighbouring floors
+  for (let f = 0; f + 1 < n; f++) {
+    for (let i = 0; i < 2; i++) {
+      const p = pickShaft(f, [f, f + 1]);
+      ld.map[p.y][f * W + p.x] = 'H';
+      ld.map[p.y][(f + 1) * W + p.x] = 'H';
+    }
+  }
+  // One elevator shaft through every floor
+  const floorsAll = floors.map((_, i) => i);
+  const e = pickShaft(0, floorsAll);
+  for (const i of floorsAll) ld.map[e.y][i * W + e.x] = 'E';
+  return linkFloors(ld, W);
+}
+
+// Derives stairs and elevators from the H and E glyphs. Stairs lead to the
+// stairs at the same spot one floor up, or else one floor down.
+function linkFloors(ld, floorWidth) {
+  ld.floorWidth = floorWidth;
+  ld.floorCount = Math.round(ld.width / floorWidth);
+  ld.stairs = [];
+  ld.elevators = [];
+  for (let y = 0; y < ld.height; y++) {
+    for (let x = 0; x < ld.width; x++) {
+      const tile = ld.map[y][x];
+      if (tile === 'H') {
+        const up = x + floorWidth, down = x - floorWidth;
+        const to = ld.map[y][up] === 'H' ? up : ld.map[y][down] === 'H' ? down : null;
+        if (to !== null) ld.stairs.push({ x, y, to: { x: to, y } });
+      } else if (tile === 'E') {
+        ld.elevators.push({ x, y, powered: false });
+      }
+    }
+  }
+  return ld;
+}
+
+// Where a stair or elevator tile leads. Elevators count as usable, since
+// the drone can always power them.
+function floorLinks(ld) {
+  const stairs = new Map(ld.stairs.map(s => [s.y * ld.width + s.x, s.to]));
+  return (x, y) => {
+    const to = stairs.get(y * ld.width + x);
+    if (to) return [to];
+    return ld.map[y][x] === 'E' ? ld.elevators : [];
+  };
+}
+
+// ============================================================
+// REACHABILITY — every primary loot, the exit and each charging
+// pad must be reachable from the thief start. Doors, safes and
+// hazards count as passable since the team can open or cross them.
+// ============================================================
+function floodFrom(map, start, blocked, links = () => []) {
+  const reach = map.map(row => row.map(() => false));
+  const queue = [start];
+  reach[start.y][start.x] = true;
+  while (queue.length) {
+    const { x, y } = queue.shift();
+    const next = [[0, -1], [1, 0], [0, 1], [-1, 0]].map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+    for (const { x: nx, y: ny } of next.concat(links(x, y))) {
+      if (ny < 0 || ny >= map.length || nx < 0 || nx >= map[ny].length) continue;
+      if (reach[ny][nx] || blocked(map[ny][nx])) continue;
+      reach[ny][nx] = true;
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  return reach;
+}
+
+function findReachable(ld) {
+  return floodFrom(ld.map, ld.thiefStart, t => t === '#', floorLinks(ld));
+}
+
+function countReachable(ld) {
+  return findReachable(ld).reduce((n, row) => n + row.filter(Boolean).length, 0);
+}
+
+function findUnreachable(ld) {
+  const reach = findReachable(ld);
+  const targets = [...ld.loot.filter(l => l.primary), ld.exitPos, ...ld.chargingPads, ...ld.stairs, ...ld.elevators];
+  return targets.filter(t => !reach[t.y][t.x]);
+}
+
+// Carves the shortest corridor from an unreachable target to the reachable
+// part of its own floor, never touching a floor's outer wall. Lower floors
+// go first, since their stairs are what make the floors above reachable.
+// Returns the repair count.
+function repairLevel(ld) {
+  const W = ld.floorWidth || ld.width;
+  let repairs = 0;
+  let missing = findUnreachable(ld);
+  while (missing.length) {
+    const reach = findReachable(ld);
+    const path = missing
+      .sort((a, b) => a.x - b.x)
+      .map(t => carvePath(ld, reach, t, Math.floor(t.x / W) * W, W))
+      .find(Boolean);
+    if (!path) throw new Error('Level cannot be repaired');
+    for (const { x, y } of path) {
+      if (ld.map[y][x] === '#') ld.map[y][x] = '.';
+    }
+    repairs++;
+    missing = findUnreachable(ld);
+  }
+  return repairs;
+}
+
+// BFS through anything from `from` to the nearest reachable tile within the
+// floor starting at x0. Returns the tiles in between, or null.
+function carvePath(ld, reach, from, x0, W) {
+  const prev = new Map([[from.y * ld.width + from.x, null]]);
+  const queue = [from];
+  while (queue.length) {
+    const { x, y } = queue.shift();
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < x0 + 1 || nx >= x0 + W - 1 || ny < 1 || ny >= ld.height - 1) continue;
+      const key = ny * ld.width + nx;
+      if (prev.has(key)) continue;
+      prev.set(key, y * ld.width + x);
+      if (reach[ny][nx]) {
+        const path = [];
+        for (let k = prev.get(key); k !== null; k = prev.get(k)) path.push({ x: k % ld.width, y: Math.floor(k / ld.width) });
+        return path;
+      }
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateLevel, floorsForLevel, createGuard, linkFloors, findUnreachable, repairLevel,
+};
@@ -0,0 +1,85 @@
+// ============================================================
+// HEIST — Lighting
+// Every tile has a light level. Generated levels light their rooms
+// and leave the corridors dark; light switches (W) put a room's
+// lights out. Guards and cameras see a dark tile from less far away.
+// ============================================================
+const LIGHT_DARK = 0;
+const LIGHT_DIM = 1;
+const LIGHT_LIT = 2;
+
+// Fraction of a guard's or camera's range it can spot the thief at
+const LIGHT_SIGHT = [1 / 3, 2 / 3, 1];
+
+function fullyLit(width, height) {
+  return Array.from({ length: height }, () => new Array(width).fill(LIGHT_LIT));
+}
+
+// Rooms lit, light spilling one tile into doorways and corridors, dark elsewhere
+function buildLightMap(ld) {
+  const light = Array.from({ length: ld.height }, () => new Array(ld.width).fill(LIGHT_DARK));
+  for (const r of ld.rooms) {
+    for (let y = r.y; y < r.y + r.h; y++) {
+      for (let x = r.x; x < r.x + r.w; x++) light[y][x] = LIGHT_LIT;
+    }
+  }
+  for (let y = 0; y < ld.height; y++) {
+    for (let x = 0; x < ld.width; x++) {
+      if (light[y][x] !== LIGHT_DARK || ld.map[y][x] === '#') continue;
+      const spill = [[0, -1], [1, 0], [0, 1], [-1, 0]].some(([dx, dy]) => light[y + dy] && light[y + dy][x + dx] === LIGHT_LIT);
+      if (spill) light[y][x] = LIGHT_DIM;
+    }
+  }
+  return light;
+}
+
+// A switch on the top row of every other room, on the first free floor tile
+function placeLightSwitches(ld) {
+  const taken = (x, y) => (ld.thiefStart.x === x && ld.thiefStart.y === y) || ld.guards.some(g => g.x === x && g.y === y);
+  ld.switches = [];
+  ld.rooms.forEach((r, i) => {
+    if (i % 2) return;
+    for (let x = r.x; x < r.x + r.w; x++) {
+      if (ld.map[r.y][x] !== '.' || taken(x, r.y)) continue;
+      ld.map[r.y][x] = 'W';
+      ld.switches.push({ x, y: r.y });
+      return;
+    }
+  });
+  return ld.switches;
+}
+
+// The lit area a switch sits in: every fully lit tile joined to it
+function switchZone(light, map, sw) {
+  if (light[sw.y][sw.x] !== LIGHT_LIT) return [];
+  const seen = new Set([`${sw.x},${sw.y}`]);
+  const zone = [];
+  const queue = [{ x: sw.x, y: sw.y }];
+  while (queue.length) {
+    const p = queue.shift();
+    zone.push(p);
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = p.x + dx, ny = p.y + dy;
+      if (!light[ny] || light[ny][nx] !== LIGHT_LIT || map[ny][nx] === '#' || seen.has(`${nx},${ny}`)) continue;
+      seen.add(`${nx},${ny}`);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  return zone;
+}
+
+// How far something with the given range can make out anything on (x, y)
+function litRange(state, range, x, y) {
+  return Math.max(1, Math.round(range * LIGHT_SIGHT[state.light[y][x]]));
+}
+
+// How far something with the given range can spot the thief on (x, y)
+function sightRange(state, range, x, y) {
+  const r = litRange(state, range, x, y);
+  return state.thief.crouching ? Math.max(1, r - 1) : r;
+}
+
+module.exports = {
+  LIGHT_DARK, LIGHT_DIM, LIGHT_LIT, LIGHT_SIGHT,
+  fullyLit, buildLightMap, placeLightSwitches, switchZone, litRange, sightRange,
+};
@@ -0,0 +1,40 @@
+// ============================================================
+// HEIST — Lockpicking
+// A physical lock is a row of pins. The pick sweeps up and down the
+// current pin, and the thief sets it by pressing while the pick is
+// within tolerance of the pin's shear line. Pin positions and the
+// sweep are the server's: a press is judged against state.timer when
+// it arrives, so a client can't skip a pin.
+// ============================================================
+const { hashSeed, nextRandom } = require('./rng');
+
+const PICK_SWEEP_MS = 3000; // the pick goes up and back down in this time
+const BASE_PICK_TOLERANCE = 0.1; // either side of the shear line, 0-1 up the pin
+
+// 2-4 pins, picked by the lock's place in the building; one more from level 3
+function lockPinCount(seed, level, door) {
+  return 2 + hashSeed(`${seed}:${level}:${door.x},${door.y}`) % 3 + (level >= 3 ? 1 : 0);
+}
+
+// The lock being picked: { x, y, pins: [shear line 0-1], set, tolerance, sweepMs, start }
+// — the pick started its sweep of pin `set` at state.timer `start`
+function createLock(state, door) {
+  const pins = [];
+  for (let i = 0; i < door.pins; i++) pins.push(Math.round(15 + nextRandom(state.puzzleRng) * 70) / 100);
+  return {
+    x: door.x, y: door.y, pins, set: 0,
+    tolerance: state.thief.pickTolerance, sweepMs: PICK_SWEEP_MS, start: state.timer,
+  };
+}
+
+// How far up the current pin the pick is at timer: 0 to 1 and back
+function pickPosition(lock, timer) {
+  const phase = ((timer - lock.start) % lock.sweepMs) / lock.sweepMs;
+  return phase < 0.5 ? phase * 2 : 2 - phase * 2;
+}
+
+function pinCatches(lock, timer) {
+  return Math.abs(pickPosition(lock, timer) - lock.pins[lock.set]) <= lock.tolerance;
+}
+
+module.exports = { PICK_SWEEP_MS, BASE_PICK_TOLERANCE, lockPinCount, createLock, pickPosition, pinCatches };
@@ -0,0 +1,1085 @@
+// ============================================================
+// HEIST — Game logic
+// Pure functions over a game state — no sockets, no timers
+// ============================================================
+const { findPath } = require('./pathfinding');
+const { createGuard } = require('./levelgen');
+const { guardSpeed } = require('./rules');
+const { LIGHT_DARK, LIGHT_LIT, litRange, sightRange } = require('./light');
+const { createHack, solvesPuzzle } = require('./hacking');
+const { createLock, pinCatches } = require('./lockpick');
+const { nextRandom } = require('./rng');
+
+const MAX_ALARM_STAGE = 3;
+// Exit bonus by the highest alarm stage reached
+const STEALTH_BONUS = [2000, 1000, 500, 0];
+// How long guards can still hear a footstep
+const FOOTSTEP_MS = 500;
+// Tiles from a failed hack that patrolling guards come to check
+const HACK_ALERT_RADIUS = 6;
+const DIR_VECS = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }];
+
+function floorOf(state, x) {
+  return Math.floor(x / state.floorWidth);
+}
+
+// Manhattan distance, or Infinity between floors (walls between floors are
+// thin in map coordinates, but nothing should reach through them)
+function floorDist(state, a, b) {
+  if (floorOf(state, a.x) !== floorOf(state, b.x)) return Infinity;
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+// ============================================================
+// ALARM — three stages, each escalating when its timer runs out:
+//   1: guards nearby come to look
+//   2: reinforcements arrive at the map edges, electronic doors re-lock
+//   3: the exit locks down until the drone hacks an alarm panel, and
+//      every time the stage runs out it costs the thief a life
+// ============================================================
+function raiseAlarm(state, action) {
+  if (state.alarmActive) return;
+  state.alarmActive = true;
+  state.thief.spotted = true;
+  state.thief.action = action;
+  state.alertTriggered = true;
+  state.alarmsRaised++;
+  state.sounds.push('alarm');
+  state.shakeEvents.push({ intensity: 4, duration: 400 });
+  setAlarmStage(state, 1);
+}
+
+function setAlarmStage(state, stage) {
+  state.alarmStage = stage;
+  state.alarmPeakStage = Math.max(state.alarmPeakStage, stage);
+  state.alarmTimer = state.rules.alarmDuration;
+  if (stage === 1) {
+    alertNearbyGuards(state);
+    callResponders(state);
+  } else if (stage === 2) {
+    relockDoors(state);
+    spawnReinforcements(state);
+    state.sounds.push('reinforcements');
+    state.shakeEvents.push({ intensity: 5, duration: 400 });
+  } else if (stage === 3 && state.alarmPanels.length) {
+    // Without a panel to hack there'd be no way out
+    state.exitLocked = true;
+    state.sounds.push('lockdown');
+    state.shakeEvents.push({ intensity: 6, duration: 500 });
+  }
+}
+
+function clearAlarm(state) {
+  state.alarmActive = false;
+  state.alarmStage = 0;
+  state.alarmTimer = 0;
+  state.exitLocked = false;
+}
+
+function alertNearbyGuards(state) {
+  const origin = { x: state.thief.x, y: state.thief.y };
+  for (const guard of state.guards) {
+    if (isDown(guard) || guard.alertLevel === 2 || floorDist(state, guard, origin) > state.rules.alarmRadius) continue;
+    guard.investigateTarget = { ...origin, search: true };
+    guard.alertLevel = 1;
+    guard.alertTimer = 10000;
+  }
+}
+
+// Hacked doors close again — except under someone's feet
+function relockDoors(state) {
+  const occupied = (d) => (state.thief.x === d.x && state.thief.y === d.y) || state.guards.some(g => g.x === d.x && g.y === d.y);
+  let changed = false;
+  for (const door of state.doors) {
+    if (door.type !== 'electronic' || !door.open || occupied(door)) continue;
+    door.open = false;
+    state.map[door.y][door.x] = 'D';
+    changed = true;
+  }
+  if (changed) state.mapVersion++;
+}
+
+// A random snapshot id, so the visible guards' ids say nothing about the unseen ones
+function assignGuardId(state, guard) {
+  guard.id = Math.floor(nextRandom(state.guardIdRng) * 0x100000000).toString(36);
+}
+
+// Reinforcements come in from the edge of the thief's floor, as far apart
+// as possible, on tiles that still have a way through to the thief
+function spawnReinforcements(state) {
+  const x0 = floorOf(state, state.thief.x) * state.floorWidth;
+  const x1 = x0 + state.floorWidth - 1;
+  const dist = new Map([[`${state.thief.x},${state.thief.y}`, 0]]);
+  const queue = [{ x: state.thief.x, y: state.thief.y }];
+  const candidates = [];
+  while (queue.length) {
+    const p = queue.shift();
+    const d = dist.get(`${p.x},${p.y}`);
+    if (d >= 4 && state.map[p.y][p.x] === '.') {
+      const edge = Math.min(p.x - x0, x1 - p.x, p.y, state.mapHeight - 1 - p.y);
+      candidates.push({ x: p.x, y: p.y, edge, d });
+    }
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = p.x + dx, ny = p.y + dy;
+      if (nx < x0 || nx > x1 || dist.has(`${nx},${ny}`) || !isWalkable(state, nx, ny)) continue;
+      dist.set(`${nx},${ny}`, d + 1);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  candidates.sort((a, b) => a.edge - b.edge || b.d - a.d);
+  const spawned = [];
+  for (const c of candidates) {
+    if (spawned.length >= state.rules.reinforcements) break;
+    if (state.guards.some(g => g.x === c.x && g.y === c.y)) continue;
+    if (spawned.some(g => Math.abs(g.x - c.x) + Math.abs(g.y - c.y) < 4)) continue;
+    const guard = createGuard(c.x, c.y, [{ x: c.x, y: c.y }], state.level);
+    guard.speed = guardSpeed(state.rules, state.level);
+    guard.alertLevel = 2;
+    guard.alertTimer = 15000;
+    guard.lastKnownThief = { x: state.thief.x, y: state.thief.y };
+    guard.reinforcement = true;
+    assignGuardId(state, guard);
+    spawned.push(guard);
+  }
+  state.guards.push(...spawned);
+}
+
+// In a building, an alarm sends the patrolling guard closest to the stairs
+// on every other floor to check out where it went off
+function callResponders(state) {
+  if (state.floorCount < 2) return;
+  const origin = { x: state.thief.x, y: state.thief.y };
+  const alarmFloor = floorOf(state, origin.x);
+  for (let f = 0; f < state.floorCount; f++) {
+    if (f === alarmFloor) continue;
+    const stairs = state.stairs.filter(s => floorOf(state, s.x) === f);
+    let best = null, bestDist = Infinity;
+    for (const guard of state.guards) {
+      if (isDown(guard) || guard.alertLevel > 0 || floorOf(state, guard.x) !== f) continue;
+      const d = Math.min(...stairs.map(s => floorDist(state, s, guard)));
+      if (d < bestDist) { best = guard; bestDist = d; }
+    }
+    if (best) {
+      best.investigateTarget = { ...origin, search: true };
+      best.alertLevel = 1;
+      best.alertTimer = 20000;
+    }
+  }
+}
+
+// ============================================================
+// GUARD AWARENESS — radio calls, searches, and noticing what the
+// crew left behind (open doors, dead cameras, lights out, empty loot spots and safes)
+// ============================================================
+const SEARCH_RADIUS = 6;
+const MAX_SEARCH_POINTS = 4;
+
+function noteDisturbance(state, x, y, kind) {
+  state.disturbances.push({ x, y, kind, noticed: false });
+}
+
+// Bresenham between a and b; the end tiles themselves never block
+function hasLineOfSight(state, a, b) {
+  if (floorOf(state, a.x) !== floorOf(state, b.x)) return false;
+  let x = a.x, y = a.y;
+  const dx = Math.abs(b.x - x), dy = -Math.abs(b.y - y);
+  const sx = Math.sign(b.x - x), sy = Math.sign(b.y - y);
+  let err = dx + dy;
+  while (true) {
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+    if (x === b.x && y === b.y) return true;
+    if (isBlockedForVision(state, x, y)) return false;
+  }
+}
+
+// A guard who spots the thief tells every guard on the floor within radio range
+function radioGuards(state, spotter) {
+  let called = false;
+  for (const guard of state.guards) {
+    if (guard === spotter || isDown(guard) || floorDist(state, guard, spotter) > state.rules.guardRadioRange) continue;
+    if (guard.alertLevel < 2) called = true;
+    guard.alertLevel = 2;
+    guard.alertTimer = Math.max(guard.alertTimer, 8000);
+    guard.lastKnownThief = { x: state.thief.x, y: state.thief.y };
+    guard.searchPoints = null;
+  }
+  if (called) state.sounds.push('radio');
+}
+
+// Doorways and rooms near origin, then the far edge of what's reachable if
+// that's not enough, in the order a guard would walk them
+function searchPointsAround(state, origin) {
+  const dist = new Map([[`${origin.x},${origin.y}`, 0]]);
+  const queue = [{ x: origin.x, y: origin.y }];
+  const reached = [];
+  const points = [];
+  const add = (p) => {
+    if (points.some(q => q.x === p.x && q.y === p.y) || (p.x === origin.x && p.y === origin.y)) return;
+    points.push({ x: p.x, y: p.y });
+  };
+  while (queue.length) {
+    const p = queue.shift();
+    const d = dist.get(`${p.x},${p.y}`);
+    reached.push({ ...p, d });
+    if (state.doors.some(door => door.x === p.x && door.y === p.y)) add(p);
+    if (d === SEARCH_RADIUS) continue;
+    for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+      const nx = p.x + dx, ny = p.y + dy;
+      if (dist.has(`${nx},${ny}`) || floorOf(state, nx) !== floorOf(state, origin.x) || !isWalkable(state, nx, ny)) continue;
+      dist.set(`${nx},${ny}`, d + 1);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  for (const room of state.rooms) {
+    const c = { x: room.x + Math.floor(room.w / 2), y: room.y + Math.floor(room.h / 2) };
+    if (dist.has(`${c.x},${c.y}`)) add(c);
+  }
+  const farthest = reached[reached.length - 1].d;
+  for (const p of reached.filter(q => q.d === farthest && farthest > 0)) {
+    if (points.length >= 2) break;
+    if (points.every(q => Math.abs(q.x - p.x) + Math.abs(q.y - p.y) >= 4)) add(p);
+  }
+  const ordered = [];
+  let at = origin;
+  while (points.length && ordered.length < MAX_SEARCH_POINTS) {
+    let best = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (floorDist(state, points[i], at) < floorDist(state, points[best], at)) best = i;
+    }
+    at = points.splice(best, 1)[0];
+    ordered.push(at);
+  }
+  return ordered;
+}
+
+function startSearch(state, guard, origin) {
+  guard.searchPoints = searchPointsAround(state, origin);
+  guard.alertLevel = 1;
+  guard.alertTimer = Math.max(guard.alertTimer, 8000);
+}
+
+// Anything out of place in sight of a patrolling guard gets checked out, once
+function noticeDisturbances(state, guard, range) {
+  if (guard.alertLevel > 0) return;
+  const seen = state.disturbances.find(d => !d.noticed && floorDist(state, guard, d) <= range && hasLineOfSight(state, guard, d));
+  if (!seen) return;
+  seen.noticed = true;
+  guard.alertLevel = 1;
+  guard.alertTimer = 8000;
+  guard.investigateTarget = { x: seen.x, y: seen.y, search: true };
+}
+
+function isWalkable(state, x, y) {
+  if (x < 0 || x >= state.mapWidth || y < 0 || y >= state.mapHeight) return false;
+  const tile = state.map[y][x];
+  if (tile === '#') return false;
+  if (tile === 'S') {
+    const safe = state.safes.find(s => s.x === x && s.y === y);
+    if (safe && !safe.open) return false;
+  }
+  if (tile === 'D' || tile === 'L') {
+    const door = state.doors.find(d => d.x === x && d.y === y);
+    if (door && !door.open) return false;
+  }
+  return true;
+}
+
+function isBlockedForVision(state, x, y) {
+  if (x < 0 || x >= state.mapWidth || y < 0 || y >= state.mapHeight) return true;
+  const tile = state.map[y][x];
+  if (tile === '#') return true;
+  if (tile === 'D' || tile === 'L') {
+    const door = state.doors.find(d => d.x === x && d.y === y);
+    if (door && !door.open) return true;
+  }
+  // Smoke blocks vision
+  if (state.smokeClouds.some(s => Math.abs(s.x - x) <= 1 && Math.abs(s.y - y) <= 1)) return true;
+  return false;
+}
+
+// ============================================================
+// STANCE — crouching is silent and harder to spot, sprinting is loud
+// ============================================================
+function thiefStance(state) {
+  return state.thief.sprinting ? 'sprint' : state.thief.crouching ? 'crouch' : 'walk';
+}
+
+function stanceNoise(state) {
+  const stance = thiefStance(state);
+  return stance === 'sprint' ? state.rules.sprintNoise : stance === 'walk' ? state.rules.walkNoise : 0;
+}
+
+// 0-100: how far off a patrolling guard can spot the thief, against standing on a lit tile
+function thiefVisibility(state) {
+  const range = state.rules.guardVision;
+  return Math.round(100 * sightRange(state, range, state.thief.x, state.thief.y) / range);
+}
+
+function thiefCrouch(state) {
+  if (state.gameOver || state.gameWon || state.thief.sprinting) return;
+  state.thief.crouching = !state.thief.crouching;
+  state.thief.action = state.thief.crouching ? 'CROUCHING' : 'Idle';
+}
+
+// ============================================================
+// TAKEDOWNS — a patrolling guard jumped from behind, or a frozen one
+// from any side, is out for the rest of the level. Bodies can be
+// dragged out of sight; one that's seen raises the alarm.
+// ============================================================
+function isDown(guard) {
+  return guard.frozen || guard.unconscious;
+}
+
+function thiefTakedown(state) {
+  if (state.gameOver || state.gameWon || state.thief.picking) return;
+  const t = state.thief;
+  const guard = state.guards.find(g => {
+    if (g.unconscious || floorDist(state, g, t) !== 1) return false;
+    if (g.frozen) return true;
+    const dv = DIR_VECS[g.dir];
+    return g.alertLevel === 0 && g.x - dv.x === t.x && g.y - dv.y === t.y;
+  });
+  if (!guard) return;
+  guard.unconscious = true;
+  guard.frozen = false;
+  guard.frozenTimer = 0;
+  guard.alertLevel = 0;
+  guard.alertTimer = 0;
+  guard.lastKnownThief = null;
+  guard.investigateTarget = null;
+  guard.searchPoints = null;
+  guard.path = null;
+  state.takedowns++;
+  t.action = 'TAKEDOWN';
+  state.sounds.push('takedown');
+}
+
+// Grab a body on or next to the thief's tile, or let go of the one in hand
+function thiefDrag(state) {
+  if (state.gameOver || state.gameWon || state.thief.picking) return;
+  const t = state.thief;
+  if (t.dragging !== null) {
+    t.dragging = null;
+    t.action = 'Idle';
+    return;
+  }
+  const i = state.guards.findIndex(g => g.unconscious && floorDist(state, g, t) <= 1);
+  if (i < 0) return;
+  t.dragging = i;
+  if (t.sprinting) { t.sprinting = false; t.sprintCooldown = t.sprintCooldownMax; }
+  t.action = 'DRAGGING';
+}
+
+// The first body undiscovered in a line of sight, out to range (less in the dark)
+function spotBody(state, from, dir, range) {
+  const dv = DIR_VECS[dir];
+  for (let i = 0; i <= range; i++) {
+    const vx = from.x + dv.x * i, vy = from.y + dv.y * i;
+    if (i > 0 && isBlockedForVision(state, vx, vy)) return null;
+    const body = state.guards.find(g => g.unconscious && !g.discovered && g.x === vx && g.y === vy);
+    if (body && i <= litRange(state, range, vx, vy)) return body;
+  }
+  return null;
+}
+
+function moveThief(state, dx, dy) {
+  if (state.gameOver || state.gameWon || state.thief.picking) return;
+  const nx = state.thief.x + dx;
+  const ny = state.thief.y + dy;
+  if (!isWalkable(state, nx, ny)) return;
+  const from = { x: state.thief.x, y: state.thief.y };
+
+  // Laser grid check
+  const laser = state.lasers.find(l => l.x === nx && l.y === ny && l.active);
+  if (laser) {
+    if (state.thief.invulnTimer <= 0) {
+      state.thief.hp--;
+      state.thief.invulnTimer = 1500;
+      state.sounds.push('hit');
+      state.shakeEvents.push({ intensity: 3, duration: 300 });
+      if (state.thief.hp <= 0) {
+        state.gameOver = true;
+        state.sounds.push('gameOver');
+        state.shakeEvents.push({ intensity: 8, duration: 500 });
+        return;
+      }
+    }
+  }
+
+  state.thief.x = nx;
+  state.thief.y = ny;
+  const body = state.thief.dragging !== null ? state.guards[state.thief.dragging] : null;
+  if (body) { body.x = from.x; body.y = from.y; }
+  state.thief.noise = stanceNoise(state);
+  state.thief.noiseTimer = FOOTSTEP_MS;
+  state.sounds.push('move');
+
+  // Tripwire check
+  const tripwire = state.tripwires.find(t => t.x === nx && t.y === ny && !t.triggered);
+  if (tripwire) {
+    tripwire.triggered = true;
+    state.map[ny][nx] = '.';
+    raiseAlarm(state, 'TRIPWIRE!');
+  }
+
+  // Loot pickup
+  const lootItem = state.loot.find(l => l.x === nx && l.y === ny && !l.collected);
+  if (lootItem) {
+    lootItem.collected = true;
+    noteDisturbance(state, nx, ny, 'loot');
+    state.thief.loot++;
+    state.thief.totalLoot++;
+    if (lootItem.primary) state.primaryLootCollected++;
+    else state.bonusLootCollected++;
+    state.map[ny][nx] = '.';
+    state.sounds.push('loot');
+    if (state.primaryLootCollected >= state.primaryLootTotal) {
+      state.exitOpen = true;
+      state.sounds.push('doorOpen');
+    }
+  }
+
+  // Safe interaction (thief must be adjacent, drone cursor on safe)
+  for (const safe of state.safes) {
+    if (safe.open) continue;
+    const adjacent = Math.abs(nx - safe.x) + Math.abs(ny - safe.y) === 1;
+    const droneOn = state.drone.x === safe.x && state.drone.y === safe.y;
+    if (adjacent && droneOn) {
+      safe.open = true;
+      state.map[safe.y][safe.x] = '.';
+      state.mapVersion++;
+      noteDisturbance(state, safe.x, safe.y, 'safe');
+      state.score += safe.lootValue;
+      state.sounds.push('loot');
+      state.sounds.push('hack');
+    }
+  }
+
+  // Exit check
+  if (state.map[ny][nx] === '>' && state.exitOpen && state.exitLocked) {
+    state.thief.action = 'EXIT LOCKED DOWN';
+  } else if (state.map[ny][nx] === '>' && state.exitOpen) {
+    state.gameWon = true;
+    state.score += state.primaryLootCollected * 1000;
+    state.score += state.bonusLootCollected * 500;
+    state.score += Math.max(0, 3000 - Math.floor(state.timer / 1000) * 10);
+    state.score += STEALTH_BONUS[state.alarmPeakStage];
+    // Bonus objectives
+    for (const obj of state.objectives) {
+      if (obj.check(state)) {
+        obj.completed = true;
+        state.score += 1000;
+      }
+    }
+    state.sounds.push('victory');
+    return;
+  }
+
+  // Stairs, or a powered elevator, take the thief to another floor
+  const stair = state.stairs.find(s => s.x === nx && s.y === ny);
+  const lift = state.elevators.find(e => e.x === nx && e.y === ny);
+  // A body is left at the foot of the stairs
+  if ((stair || (lift && lift.powered)) && body) state.thief.dragging = null;
+  if (stair) {
+    state.thief.x = stair.to.x;
+    state.thief.y = stair.to.y;
+    state.thief.action = `Floor ${floorOf(state, stair.to.x) + 1}`;
+    state.sounds.push('stairs');
+  } else if (lift && lift.powered) {
+    const next = (floorOf(state, nx) + 1) % state.floorCount;
+    const to = state.elevators.find(e => floorOf(state, e.x) === next);
+    state.thief.x = to.x;
+    state.thief.y = to.y;
+    state.thief.action = `Floor ${next + 1}`;
+    state.sounds.push('elevator');
+  } else if (lift) {
+    state.thief.action = 'Elevator has no power';
+  }
+}
+
+function startPickLock(state) {
+  if (state.gameOver || state.gameWon || state.thief.picking) return;
+  const dirs = [{x:0,y:-1},{x:1,y:0},{x:0,y:1},{x:-1,y:0}];
+  for (const d of dirs) {
+    const tx = state.thief.x + d.x;
+    const ty = state.thief.y + d.y;
+    const door = state.doors.find(dr => dr.x === tx && dr.y === ty && dr.type === 'physical' && !dr.open);
+    if (door) {
+      state.thief.picking = true;
+      state.thief.lock = createLock(state, door);
+      state.thief.action = 'Picking lock...';
+      state.sounds.push('lock');
+      return;
+    }
+  }
+}
+
+function stopPickLock(state) {
+  if (state.thief.picking) {
+    state.thief.picking = false;
+    state.thief.lock = null;
+    state.thief.action = 'Idle';
+  }
+}
+
+// A press on time sets the pin and moves the pick on to the next one. A
+// miss drops every pin, and the rattle carries like a footstep.
+function setPin(state) {
+  const lock = state.thief.lock;
+  if (state.gameOver || state.gameWon || !lock) return;
+  if (!pinCatches(lock, state.timer)) {
+    lock.set = 0;
+    lock.start = state.timer;
+    state.thief.noise = state.rules.pickNoise;
+    state.thief.noiseTimer = FOOTSTEP_MS;
+    state.sounds.push('pickFail');
+    return;
+  }
+  lock.set++;
+  lock.start = state.timer;
+  state.sounds.push('pin');
+  if (lock.set < lock.pins.length) return;
+  const door = state.doors.find(d => d.x === lock.x && d.y === lock.y);
+  door.open = true;
+  state.map[door.y][door.x] = '.';
+  state.mapVersion++;
+  noteDisturbance(state, door.x, door.y, 'door');
+  state.thief.locksPicked++;
+  stopPickLock(state);
+  state.sounds.push('doorOpen');
+}
+
+// Thief abilities
+function thiefSprint(state) {
+  if (state.gameOver || state.gameWon) return;
+  if (state.thief.sprinting || state.thief.sprintCooldown > 0 || state.thief.dragging !== null) return;
+  state.thief.sprinting = true;
+  state.thief.crouching = false;
+  state.thief.sprintTimer = state.thief.sprintDuration;
+  state.thief.action = 'SPRINTING';
+  state.sounds.push('sprint');
+}
+
+// Drone abilities
+// Elevators, switches and guards give in at once. Doors, cameras and
+// alarm panels start a hacking minigame (see hacking.js); the battery
+// is spent either way.
+function droneHack(state) {
+  if (state.gameOver || state.gameWon || state.drone.battery <= 0 || state.drone.hack) return;
+  const dx = state.drone.x, dy = state.drone.y;
+  const hackCost = state.drone.hackCost;
+
+  if (state.doors.some(d => d.x === dx && d.y === dy && d.type === 'electronic' && !d.open)) {
+    startHack(state, 'door', dx, dy);
+    return;
+  }
+
+  // Powering one car powers the whole shaft
+  const lift = state.elevators.find(e => e.x === dx && e.y === dy && !e.powered);
+  if (lift) {
+    for (const e of state.elevators) e.powered = true;
+    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
+    state.drone.hacks++;
+    state.sounds.push('hack');
+    state.sounds.push('elevator');
+    return;
+  }
+
+  const sw = state.switches.find(s => s.x === dx && s.y === dy);
+  if (sw) {
+    sw.on = !sw.on;
+    for (const p of sw.zone) state.light[p.y][p.x] = sw.on ? LIGHT_LIT : LIGHT_DARK;
+    noteDisturbance(state, dx, dy, 'lights');
+    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
+    state.drone.hacks++;
+    state.sounds.push('hack');
+    state.sounds.push('lights');
+    return;
+  }
+
+  if (state.cameras.some(c => c.x === dx && c.y === dy && c.active)) {
+    startHack(state, 'camera', dx, dy);
+    return;
+  }
+
+  const guard = state.guards.find(g => g.x === dx && g.y === dy && !isDown(g));
+  if (guard) {
+    guard.frozen = true;
+    guard.frozenTimer = state.drone.freezeDuration;
+    guard.alertLevel = 0;
+    guard.alertTimer = 0;
+    guard.lastKnownThief = null;
+    guard.investigateTarget = null;
+    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
+    state.drone.hacks++;
+    state.guardsHacked++;
+    state.sounds.push('hack');
+    return;
+  }
+
+  if (state.alarmActive && state.alarmPanels.some(a => a.x === dx && a.y === dy)) {
+    startHack(state, 'panel', dx, dy);
+  }
+}
+
+function startHack(state, kind, x, y) {
+  state.drone.battery = Math.max(0, state.drone.battery - state.drone.hackCost);
+  state.drone.hack = createHack(state, kind, x, y);
+  state.sounds.push('hackStart');
+}
+
+// The drone's answer is checked against the puzzle, never taken on trust
+function submitHack(state, answer) {
+  const hack = state.drone.hack;
+  if (!hack || state.gameOver || state.gameWon) return;
+  state.drone.hack = null;
+  if (solvesPuzzle(hack.puzzle, answer)) completeHack(state, hack);
+  else failHack(state, hack);
+}
+
+// The target may have changed while the drone worked on it — a door
+// keycarded open, a camera blown by an EMP, an alarm already over
+function completeHack(state, { kind, x, y }) {
+  state.drone.hacks++;
+  state.sounds.push('hack');
+  if (kind === 'door') {
+    const door = state.doors.find(d => d.x === x && d.y === y);
+    if (door.open) return;
+    door.open = true;
+    state.map[y][x] = '.';
+    state.mapVersion++;
+    noteDisturbance(state, x, y, 'door');
+    state.sounds.push('doorOpen');
+  } else if (kind === 'camera') {
+    const cam = state.cameras.find(c => c.x === x && c.y === y && c.active);
+    if (!cam) return;
+    cam.active = false;
+    state.map[y][x] = '.';
+    noteDisturbance(state, x, y, 'camera');
+  } else if (state.alarmActive) {
+    clearAlarm(state);
+    state.thief.spotted = false;
+  }
+}
+
+// A botched hack trips the target's tamper alert: patrolling guards nearby come and search around it
+function failHack(state, hack) {
+  for (const guard of state.guards) {
+    if (isDown(guard) || guard.alertLevel > 0 || floorDist(state, guard, hack) > HACK_ALERT_RADIUS) continue;
+    guard.investigateTarget = null;
+    startSearch(state, guard, hack);
+  }
+  state.sounds.push('hackFail');
+  state.shakeEvents.push({ intensity: 2, duration: 200 });
+}
+
+function updateHack(state, dt) {
+  const hack = state.drone.hack;
+  if (!hack) return;
+  hack.timer -= dt;
+  if (hack.timer > 0) return;
+  state.drone.hack = null;
+  failHack(state, hack);
+}
+
+function dronePing(state, x, y) {
+  if (state.gameOver || state.gameWon) return;
+  state.drone.ping = { x, y, timer: 5000 };
+  state.sounds.push('ping');
+}
+
+function updateDroneCharge(state, dt) {
+  const pad = state.chargingPads.find(p => p.x === state.drone.x && p.y === state.drone.y);
+  if (pad && state.drone.battery < state.drone.maxBattery) {
+    state.drone.charging = true;
+    state.drone.chargeTimer += dt;
+    if (state.drone.chargeTimer >= state.drone.chargeSpeed) {
+      state.drone.battery = Math.min(state.drone.maxBattery, state.drone.battery + 25);
+      state.drone.chargeTimer = 0;
+      state.sounds.push('charge');
+    }
+  } else {
+    state.drone.charging = false;
+    state.drone.chargeTimer = 0;
+  }
+}
+
+function updateLasers(state, dt) {
+  for (const laser of state.lasers) {
+    laser.timer += dt;
+    if (laser.timer >= laser.period) {
+      laser.timer = 0;
+      laser.active = !laser.active;
+      if (laser.active) state.sounds.push('laser');
+    }
+    // Damage thief if standing on active laser
+    if (laser.active && laser.x === state.thief.x && laser.y === state.thief.y && state.thief.invulnTimer <= 0) {
+      state.thief.hp--;
+      state.thief.invulnTimer = 1500;
+      state.sounds.push('hit');
+      state.shakeEvents.push({ intensity: 3, duration: 300 });
+      if (state.thief.hp <= 0) {
+        state.gameOver = true;
+        state.sounds.push('gameOver');
+        state.shakeEvents.push({ intensity: 8, duration: 500 });
+      }
+    }
+  }
+}
+
+function updateEffects(state, dt) {
+  // Noisemakers
+  for (let i = state.noisemakers.length - 1; i >= 0; i--) {
+    state.noisemakers[i].timer -= dt;
+    if (state.noisemakers[i].timer <= 0) {
+      state.noisemakers.splice(i, 1);
+    }
+  }
+
+  // Smoke clouds
+  for (let i = state.smokeClouds.length - 1; i >= 0; i--) {
+    state.smokeClouds[i].timer -= dt;
+    if (state.smokeClouds[i].timer <= 0) {
+      state.smokeClouds.splice(i, 1);
+    }
+  }
+
+  // Decoys
+  for (let i = state.decoys.length - 1; i >= 0; i--) {
+    state.decoys[i].timer -= dt;
+    if (state.decoys[i].timer <= 0) {
+      state.decoys.splice(i, 1);
+    }
+  }
+
+  // Drone ping
+  if (state.drone.ping) {
+    state.drone.ping.timer -= dt;
+    if (state.drone.ping.timer <= 0) state.drone.ping = null;
+  }
+
+  // Sprint
+  if (state.thief.sprinting) {
+    state.thief.sprintTimer -= dt;
+    if (state.thief.sprintTimer <= 0) {
+      state.thief.sprinting = false;
+      state.thief.sprintCooldown = state.thief.sprintCooldownMax;
+      state.thief.action = 'Idle';
+    }
+  }
+  if (state.thief.sprintCooldown > 0) {
+    state.thief.sprintCooldown -= dt;
+  }
+
+  // Footsteps fade
+  if (state.thief.noiseTimer > 0) {
+    state.thief.noiseTimer -= dt;
+    if (state.thief.noiseTimer <= 0) { state.thief.noiseTimer = 0; state.thief.noise = 0; }
+  }
+}
+
+// Next tile on the guard's way to target, by way of the stairs if it's on
+// another floor. The path is cached on the guard and recomputed when the
+// target changes or a door or safe opens (mapVersion). Returns null when the
+// target can't be reached.
+function guardStep(state, guard, target) {
+  const p = guard.path;
+  if (!p || !p.steps.length || p.version !== state.mapVersion || p.to.x !== target.x || p.to.y !== target.y) {
+    const links = (x, y) => state.stairs.filter(s => s.x === x && s.y === y).map(s => s.to);
+    const steps = findPath(state.mapWidth, state.mapHeight, (x, y) => isWalkable(state, x, y), guard, target,
+      { links, floorWidth: state.floorWidth });
+    guard.path = steps && { to: { x: target.x, y: target.y }, version: state.mapVersion, steps };
+  }
+  return guard.path ? guard.path.steps[0] : null;
+}
+
+function updateGuards(state, dt) {
+  for (const guard of state.guards) {
+    if (guard.unconscious) continue;
+    if (guard.frozen) {
+      guard.frozenTimer -= dt;
+      if (guard.frozenTimer <= 0) {
+        // Waking up from a hack or an EMP is suspicious in itself
+        guard.frozen = false;
+        guard.frozenTimer = 0;
+        guard.investigateTarget = null;
+        startSearch(state, guard, guard);
+      }
+      continue;
+    }
+    guard.moveTimer += dt;
+
+    // Determine effective speed based on alert level
+    let effectiveSpeed = guard.speed;
+    if (guard.alertLevel === 1) effectiveSpeed = Math.max(200, guard.speed * 0.8); // suspicious - slightly faster
+    if (guard.alertLevel === 2) effectiveSpeed = Math.max(150, guard.speed * 0.5); // alert - much faster
+
+    if (guard.moveTimer < effectiveSpeed) continue;
+    guard.moveTimer = 0;
+
+    // Check for noisemakers — guards investigate noise
+    let attracted = false;
+    for (const noise of state.noisemakers) {
+      if (floorDist(state, noise, guard) <= 8) {
+        guard.investigateTarget = { x: noise.x, y: noise.y };
+        guard.alertLevel = 1;
+        guard.alertTimer = 8000;
+        attracted = true;
+        break;
+      }
+    }
+
+    // Check for decoys — guards chase decoys like they're the thief
+    if (!attracted) {
+      for (const decoy of state.decoys) {
+        if (floorDist(state, decoy, guard) <= 6) {
+          guard.investigateTarget = { x: decoy.x, y: decoy.y };
+          guard.alertLevel = 2;
+          guard.alertTimer = 6000;
+          attracted = true;
+          break;
+        }
+      }
+    }
+
+    let target;
+    if (guard.alertLevel === 2 && guard.lastKnownThief) {
+      // Alert: chase last known thief position
+      target = guard.lastKnownThief;
+    } else if (guard.investigateTarget) {
+      target = guard.investigateTarget;
+    } else if (guard.searchPoints && guard.searchPoints.length) {
+      target = guard.searchPoints[0];
+    } else {
+      target = guard.route[guard.routeIdx];
+    }
+
+    let moved = false;
+    if (guard.x !== target.x || guard.y !== target.y) {
+      const step = guardStep(state, guard, target);
+      if (step) {
+        const gdx = step.x - guard.x, gdy = step.y - guard.y;
+        guard.x = step.x; guard.y = step.y;
+        guard.path.steps.shift();
+        if (gdx === 1) guard.dir = 1;
+        else if (gdx === -1) guard.dir = 3;
+        else if (gdy === -1) guard.dir = 0;
+        else if (gdy === 1) guard.dir = 2;
+        moved = true;
+      } else if (target === guard.investigateTarget) {
+        // Noise or a decoy somewhere the guard can't get to
+        guard.investigateTarget = null;
+      } else if (target === guard.lastKnownThief) {
+        guard.lastKnownThief = null;
+      } else if (guard.searchPoints && target === guard.searchPoints[0]) {
+        guard.searchPoints.shift();
+      }
+    }
+
+    // Patrol waypoint cycling
+    if (guard.alertLevel === 0) {
+      if (!moved || (guard.x === target.x && guard.y === target.y)) {
+        guard.routeIdx = (guard.routeIdx + 1) % guard.route.length;
+      }
+    }
+
+    // Reaching a noise calms a guard down; reaching the thief's last known
+    // position or something out of place starts a search around it
+    if (guard.investigateTarget && guard.x === guard.investigateTarget.x && guard.y === guard.investigateTarget.y) {
+      const searchHere = guard.investigateTarget.search;
+      guard.investigateTarget = null;
+      if (searchHere) startSearch(state, guard, guard);
+    }
+    if (guard.alertLevel === 2 && guard.lastKnownThief && guard.x === guard.lastKnownThief.x && guard.y === guard.lastKnownThief.y) {
+      guard.lastKnownThief = null;
+      startSearch(state, guard, guard);
+    }
+    if (guard.searchPoints && guard.searchPoints.length && guard.x === guard.searchPoints[0].x && guard.y === guard.searchPoints[0].y) {
+      guard.searchPoints.shift();
+    }
+    if (guard.searchPoints && !guard.searchPoints.length && !guard.investigateTarget && !guard.lastKnownThief) {
+      // Searched everywhere — back to the patrol
+      guard.searchPoints = null;
+      guard.alertLevel = 0;
+      guard.alertTimer = 0;
+    }
+
+    // Alert timer decay
+    if (guard.alertLevel > 0) {
+      guard.alertTimer -= dt;
+      if (guard.alertTimer <= 0) {
+        guard.alertLevel = 0;
+        guard.alertTimer = 0;
+        guard.lastKnownThief = null;
+        guard.investigateTarget = null;
+        guard.searchPoints = null;
+      }
+    }
+
+    // Vision check
+    if (!guard.frozen) {
+      const dv = DIR_VECS[guard.dir];
+      const visionRange = guard.alertLevel >= 1 ? state.rules.guardAlertVision : state.rules.guardVision; // Alerted guards see further
+      let canSeeThief = false;
+      for (let i = 1; i <= visionRange; i++) {
+        const vx = guard.x + dv.x * i, vy = guard.y + dv.y * i;
+        if (isBlockedForVision(state, vx, vy)) break;
+        // The darker the thief's tile, the closer a guard has to be
+        if (vx === state.thief.x && vy === state.thief.y) { canSeeThief = i <= sightRange(state, visionRange, vx, vy); break; }
+      }
+      // Side peripheral vision (1 tile to each side of facing, only 1 tile deep)
+      if (!canSeeThief && guard.alertLevel >= 1) {
+        const perps = dv.x === 0 ? [{x:1,y:0},{x:-1,y:0}] : [{x:0,y:1},{x:0,y:-1}];
+        for (const p of perps) {
+          const vx = guard.x + p.x, vy = guard.y + p.y;
+          if (vx === state.thief.x && vy === state.thief.y && !isBlockedForVision(state, vx, vy)) {
+            canSeeThief = true; break;
+          }
+        }
+      }
+      // Direct collision
+      if (guard.x === state.thief.x && guard.y === state.thief.y) canSeeThief = true;
+
+      // Footsteps carry through walls, as far as the thief's stance makes them
+      const thiefDist = floorDist(state, guard, state.thief);
+      if (!canSeeThief && thiefDist <= state.thief.noise && guard.alertLevel === 0) {
+        guard.alertLevel = 1;
+        guard.alertTimer = 5000;
+        guard.investigateTarget = { x: state.thief.x, y: state.thief.y };
+      }
+
+      const body = !canSeeThief && spotBody(state, guard, guard.dir, visionRange);
+      if (canSeeThief) {
+        guard.alertLevel = 2;
+        guard.alertTimer = 10000;
+        guard.lastKnownThief = { x: state.thief.x, y: state.thief.y };
+        guard.searchPoints = null;
+        radioGuards(state, guard);
+        raiseAlarm(state, 'SPOTTED!');
+      } else if (body) {
+        body.discovered = true;
+        raiseAlarm(state, 'BODY FOUND!');
+        if (guard.alertLevel < 2) {
+          guard.alertLevel = 1;
+          guard.alertTimer = Math.max(guard.alertTimer, 10000);
+          guard.investigateTarget = { x: body.x, y: body.y, search: true };
+        }
+      } else {
+        noticeDisturbances(state, guard, visionRange);
+      }
+
+      if (guard.x === state.thief.x && guard.y === state.thief.y && state.thief.invulnTimer <= 0) {
+        state.thief.hp--;
+        state.thief.invulnTimer = 1500;
+        state.sounds.push('hit');
+        state.shakeEvents.push({ intensity: 5, duration: 300 });
+        if (state.thief.hp <= 0) {
+          state.gameOver = true;
+          state.sounds.push('gameOver');
+          state.shakeEvents.push({ intensity: 8, duration: 500 });
+        }
+      }
+    }
+  }
+
+  // Camera checks — cameras rotate
+  for (const cam of state.cameras) {
+    if (!cam.active) continue;
+    // Cameras slowly rotate
+    cam.rotTimer = (cam.rotTimer || 0) + dt;
+    if (cam.rotTimer >= state.rules.cameraRotateMs) {
+      cam.rotTimer = 0;
+      cam.dir = (cam.dir + 1) % 4;
+    }
+    // A looped feed shows the guards an empty room
+    if (cam.loopTimer > 0) {
+      cam.loopTimer -= dt;
+      continue;
+    }
+    // Camera vision cone (cameraRange tiles in facing direction)
+    const dv = DIR_VECS[cam.dir];
+    let detected = false;
+    for (let i = 1; i <= state.rules.cameraRange; i++) {
+      const vx = cam.x + dv.x * i, vy = cam.y + dv.y * i;
+      if (isBlockedForVision(state, vx, vy)) break;
+      if (vx === state.thief.x && vy === state.thief.y) { detected = i <= sightRange(state, state.rules.cameraRange, vx, vy); break; }
+    }
+    if (detected) {
+      raiseAlarm(state, 'SPOTTED!');
+      continue;
+    }
+    const body = spotBody(state, cam, cam.dir, state.rules.cameraRange);
+    if (body) {
+      body.discovered = true;
+      raiseAlarm(state, 'BODY FOUND!');
+    }
+  }
+}
+
+function updateAlarm(state, dt) {
+  if (!state.alarmActive) {
+    if (state.thief.spotted) { state.thief.spotted = false; state.thief.action = state.thief.sprinting ? 'SPRINTING' : 'Idle'; }
+    return;
+  }
+  state.alarmTimer -= dt;
+  if (state.alarmTimer > 0) return;
+  if (state.alarmStage < MAX_ALARM_STAGE) {
+    setAlarmStage(state, state.alarmStage + 1);
+    return;
+  }
+  // The last stage costs a life, and keeps going for as long as the exit is locked down
+  state.thief.hp--;
+  state.sounds.push('hit');
+  state.shakeEvents.push({ intensity: 5, duration: 300 });
+  if (state.exitLocked) state.alarmTimer = state.rules.alarmDuration;
+  else clearAlarm(state);
+  if (state.thief.hp <= 0) {
+    state.gameOver = true;
+    state.sounds.push('gameOver');
+    state.shakeEvents.push({ intensity: 8, duration: 500 });
+  } else if (!state.alarmActive) {
+    state.thief.spotted = false;
+    state.thief.action = 'Idle';
+  }
+}
+
+function updateInvuln(state, dt) {
+  if (state.thief.invulnTimer > 0) state.thief.invulnTimer -= dt;
+}
+
+// ============================================================
+// ROOM TICK
+// ============================================================
+function tickRoom(room, dt) {
+  const state = room.gameState;
+  if (!state || state.phase !== 'heist' || state.gameOver || state.gameWon || room.paused) return;
+
+  state.timer += dt;
+  updateGuards(state, dt);
+  updateAlarm(state, dt);
+  updateDroneCharge(state, dt);
+  updateHack(state, dt);
+  updateInvuln(state, dt);
+  updateLasers(state, dt);
+  updateEffects(state, dt);
+
+  // Periodic alarm sound
+  if (state.alarmActive && Math.floor(state.timer / 500) % 2 === 0 && Math.floor((state.timer - dt) / 500) % 2 !== 0) {
+    state.sounds.push('alarm');
+  }
+}
+
+module.exports = {
+  MAX_ALARM_STAGE, STEALTH_BONUS, SEARCH_RADIUS, HACK_ALERT_RADIUS,
+  floorOf, floorDist, raiseAlarm, setAlarmStage, clearAlarm, alertNearbyGuards, relockDoors, assignGuardId, spawnReinforcements,
+  callResponders, noteDisturbance, hasLineOfSight, radioGuards, searchPointsAround, startSearch, noticeDisturbances,
+  isWalkable, isBlockedForVision,
+  thiefStance, stanceNoise, thiefVisibility, thiefCrouch,
+  isDown, thiefTakedown, thiefDrag, spotBody,
+  moveThief, startPickLock, stopPickLock, setPin,
+  thiefSprint, droneHack, submitHack, dronePing,
+  updateDroneCharge, updateHack, updateLasers, updateEffects, guardStep, updateGuards, updateAlarm, updateInvuln,
+  tickRoom,
+};
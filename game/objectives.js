@@ -0,0 +1,27 @@
+// ============================================================
+// HEIST — Bonus objectives
+// ============================================================
+const { shuffle } = require('./rng');
+
+const OBJECTIVE_TEMPLATES = [
+  { id: 'speed_demon', desc: 'Complete in under 90 seconds', check: (s) => s.timer < 90000 },
+  { id: 'ghost', desc: 'Never trigger an alarm or take anyone down', check: (s) => !s.alertTriggered && !s.takedowns },
+  { id: 'hacker', desc: 'Hack 3+ systems', check: (s) => s.drone.hacks >= 3 },
+  { id: 'collector', desc: 'Collect all bonus loot', check: (s) => s.loot.filter(l => !l.primary).every(l => l.collected) },
+  { id: 'efficient', desc: 'Use 50% or less battery', check: (s) => s.drone.battery >= 50 },
+  { id: 'untouchable', desc: 'Take no damage', check: (s) => s.thief.hp === s.thief.maxHp },
+  { id: 'locksmith', desc: 'Pick 2+ locks', check: (s) => s.thief.locksPicked >= 2 },
+  { id: 'freeze_master', desc: 'Freeze 3+ guards', check: (s) => s.guardsHacked >= 3 },
+  { id: 'pacifist', desc: 'Take no one down', check: (s) => !s.takedowns },
+];
+
+function pickObjectives(count, rng) {
+  const shuffled = shuffle([...OBJECTIVE_TEMPLATES], rng);
+  return shuffled.slice(0, count).map(o => ({ ...o, completed: false }));
+}
+
+function objectivesById(ids) {
+  return ids.map(id => ({ ...OBJECTIVE_TEMPLATES.find(t => t.id === id), completed: false }));
+}
+
+module.exports = { OBJECTIVE_TEMPLATES, pickObjectives, objectivesById };
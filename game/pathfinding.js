@@ -0,0 +1,81 @@
+// ============================================================
+// HEIST — Pathfinding
+// A* over the tile grid: 4-way moves, Manhattan heuristic
+// ============================================================
+
+// Min-heap on f, then h, so ties resolve the same way every run (replays rely on it)
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!lessThan(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const l = i * 2 + 1, r = l + 1;
+      let m = i;
+      if (l < heap.length && lessThan(heap[l], heap[m])) m = l;
+      if (r < heap.length && lessThan(heap[r], heap[m])) m = r;
+      if (m === i) break;
+      [heap[i], heap[m]] = [heap[m], heap[i]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+function lessThan(a, b) {
+  return a.f < b.f || (a.f === b.f && a.h < b.h);
+}
+
+// passable(x, y) decides walkability. Returns the tiles after `from` up to and
+// including `to` ([] if already there), or null when `to` can't be reached.
+// opts.links(x, y) lists extra one-step moves (stairs); with opts.floorWidth
+// the heuristic ignores which floor a tile is on, so it stays admissible.
+function findPath(width, height, passable, from, to, opts = {}) {
+  if (from.x === to.x && from.y === to.y) return [];
+  if (!passable(to.x, to.y)) return null;
+  const links = opts.links || (() => []);
+  const fw = opts.floorWidth || width;
+  const h = (x, y) => Math.abs((x % fw) - (to.x % fw)) + Math.abs(y - to.y);
+  const start = from.y * width + from.x;
+  const goal = to.y * width + to.x;
+  const cost = new Map([[start, 0]]);
+  const prev = new Map();
+  const open = [];
+  heapPush(open, { key: start, g: 0, h: h(from.x, from.y), f: h(from.x, from.y) });
+  while (open.length) {
+    const node = heapPop(open);
+    if (node.key === goal) {
+      const path = [];
+      for (let k = goal; k !== start; k = prev.get(k)) path.push({ x: k % width, y: Math.floor(k / width) });
+      return path.reverse();
+    }
+    if (node.g > cost.get(node.key)) continue;
+    const x = node.key % width, y = Math.floor(node.key / width);
+    const next = [[0, -1], [1, 0], [0, 1], [-1, 0]].map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+    for (const { x: nx, y: ny } of next.concat(links(x, y))) {
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height || !passable(nx, ny)) continue;
+      const key = ny * width + nx;
+      const g = node.g + 1;
+      if (cost.has(key) && cost.get(key) <= g) continue;
+      cost.set(key, g);
+      prev.set(key, node.key);
+      const nh = h(nx, ny);
+      heapPush(open, { key, g, h: nh, f: g + nh });
+    }
+  }
+  return null;
+}
+
+module.exports = { findPath };
@@ -0,0 +1,88 @@
+// ============================================================
+// HEIST — Replays
+// Initial state + timestamped inputs, re-simulated on demand
+// ============================================================
+const { OBJECTIVE_TEMPLATES } = require('./objectives');
+const { tickRoom } = require('./logic');
+const { applyInput } = require('./input');
+const { buildSnapshot, diffSnapshot } = require('./snapshot');
+
+const REPLAY_VERSION = 12; // bump when a logic change would make old recordings play out differently
+// Replays are simulated from uploads, so they're capped: a longer one plays its first 10 minutes
+const REPLAY_MAX_TICKS = 6000;
+const REPLAY_MAX_INPUTS = 12000; // about two a tick for the whole 10 minutes
+
+// Objectives carry their check functions; recordings only keep ids
+function serializeState(state) {
+  return JSON.parse(JSON.stringify({
+    ...state,
+    objectives: state.objectives.map(o => ({ id: o.id, completed: o.completed })),
+  }));
+}
+
+function hydrateState(data) {
+  const state = JSON.parse(JSON.stringify(data));
+  state.objectives = state.objectives.map(o => {
+    const tpl = OBJECTIVE_TEMPLATES.find(t => t.id === o.id);
+    if (!tpl) throw new Error(`Unknown objective ${o.id}`);
+    return { ...tpl, completed: o.completed };
+  });
+  return state;
+}
+
+function createRecording(room) {
+  return {
+    version: REPLAY_VERSION,
+    code: room.code,
+    seed: room.seed,
+    level: room.level,
+    recordedAt: new Date().toISOString(),
+    initialState: serializeState(room.gameState),
+    inputs: [], // { t: state.timer when accepted, role, action, dx, dy, gadget, answer }
+  };
+}
+
+function finishRecording(room) {
+  const state = room.gameState;
+  return {
+    ...room.recording,
+    duration: state.timer,
+    result: state.gameWon ? 'won' : state.gameOver ? 'lost' : 'incomplete',
+  };
+}
+
+// Replays tick-for-tick: inputs accepted at timer t were applied before the tick that moved timer past t
+function simulateReplay(recording) {
+  if (!recording || recording.version !== REPLAY_VERSION) throw new Error('Unsupported replay version');
+  if (!recording.initialState || !Array.isArray(recording.inputs)) throw new Error('Malformed replay');
+  if (recording.inputs.length > REPLAY_MAX_INPUTS) throw new Error(`Replay has more than ${REPLAY_MAX_INPUTS} inputs`);
+  const room = {
+    gameState: hydrateState(recording.initialState),
+    paused: false, spectators: [], totalScore: 0,
+  };
+  const state = room.gameState;
+  const inputs = recording.inputs.slice().sort((a, b) => a.t - b.t);
+  const end = Math.min(Number(recording.duration) || 0, REPLAY_MAX_TICKS * 100);
+  const frames = [];
+  let prev = null, next = 0;
+  while (true) {
+    while (next < inputs.length && inputs[next].t <= state.timer) {
+      applyInput(state, inputs[next].role, inputs[next]);
+      next++;
+    }
+    tickRoom(room, 100);
+    // Snapshots reference live state arrays; clone before the next tick mutates them
+    const snap = structuredClone(buildSnapshot(room));
+    state.sounds = [];
+    state.shakeEvents = [];
+    frames.push(prev ? (diffSnapshot(prev, snap) || { type: 'delta' }) : snap);
+    prev = snap;
+    if (state.gameOver || state.gameWon || frames.length >= REPLAY_MAX_TICKS) break;
+    if (state.timer >= end && next >= inputs.length) break;
+  }
+  return frames;
+}
+
+module.exports = {
+  REPLAY_VERSION, REPLAY_MAX_TICKS, REPLAY_MAX_INPUTS, serializeState, hydrateState, createRecording, finishRecording, simulateReplay,
+};
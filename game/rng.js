@@ -0,0 +1,62 @@
+// ============================================================
+// HEIST — Seeded RNG
+// Every level is generated from the room seed
+// ============================================================
+const crypto = require('crypto');
+
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase();
+}
+
+// Seeds are shared by hand, so keep them short and case-insensitive
+function normalizeSeed(seed) {
+  if (typeof seed !== 'string' && typeof seed !== 'number') return null;
+  const s = String(seed).trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '').slice(0, 24);
+  return s || null;
+}
+
+// FNV-1a string hash -> 32-bit unsigned int
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 — small, fast, good enough for level layout
+function createRng(seed) {
+  const rs = createRngState(seed);
+  return function rng() {
+    return nextRandom(rs);
+  };
+}
+
+// The same generator with its state as plain data, for rolls made mid-game:
+// it lives in the game state, so replays and restored states roll the same
+function createRngState(seed) {
+  return { a: seed >>> 0 };
+}
+
+function nextRandom(rs) {
+  rs.a = (rs.a + 0x6D2B79F5) >>> 0;
+  let t = rs.a;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function levelRng(seed, level) {
+  return createRng(hashSeed(`${seed}:${level}`));
+}
+
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+module.exports = { generateSeed, normalizeSeed, hashSeed, createRng, createRngState, nextRandom, levelRng, shuffle };
@@ -0,0 +1,110 @@
+// ============================================================
+// HEIST — Game rules
+// Every balance number a host can tune. A state carries its rules,
+// so logic, snapshots, replays and scores all agree on them.
+// ============================================================
+const crypto = require('crypto');
+
+const DEFAULT_RULES = {
+  maxLevels: 5,
+  alarmDuration: 10000, // ms per alarm stage; the last one costs a life when it runs out
+  alarmRadius: 8, // tiles — stage 1 sends guards this close to investigate
+  reinforcements: 2, // guards called in at stage 2
+  hackCost: 25, // battery per hack, before upgrades
+  hackTime: 12000, // ms for a hacking minigame, less on later levels and tougher targets
+  thiefHp: 3,
+  droneBattery: 100,
+  guardBaseSpeed: 500, // ms per step on level 0, minus guardSpeedPerLevel each level
+  guardSpeedPerLevel: 50,
+  guardMinSpeed: 250,
+  guardVision: 3, // tiles, patrolling
+  guardAlertVision: 5, // tiles, once suspicious
+  guardRadioRange: 10, // tiles — a guard who spots the thief alerts guards this close
+  cameraRange: 3,
+  cameraRotateMs: 4000,
+  walkNoise: 1, // tiles a footstep carries, walls or not — crouching is silent
+  sprintNoise: 4,
+  pickNoise: 3, // tiles the rattle of a dropped lock carries
+};
+
+// [min, max] for each rule — custom overrides must fall inside
+const RULE_LIMITS = {
+  maxLevels: [1, 5],
+  alarmDuration: [3000, 60000],
+  alarmRadius: [0, 30],
+  reinforcements: [0, 6],
+  hackCost: [5, 100],
+  hackTime: [4000, 60000],
+  thiefHp: [1, 9],
+  droneBattery: [25, 500],
+  guardBaseSpeed: [150, 2000],
+  guardSpeedPerLevel: [0, 200],
+  guardMinSpeed: [100, 2000],
+  guardVision: [1, 10],
+  guardAlertVision: [1, 12],
+  guardRadioRange: [0, 30],
+  cameraRange: [1, 10],
+  cameraRotateMs: [1000, 30000],
+  walkNoise: [0, 10],
+  sprintNoise: [0, 10],
+  pickNoise: [0, 10],
+};
+
+const RULE_PRESETS = {
+  rookie: {
+    name: 'Rookie',
+    rules: {
+      maxLevels: 3, alarmDuration: 15000, alarmRadius: 6, reinforcements: 1, hackCost: 15, hackTime: 16000, thiefHp: 4, droneBattery: 125,
+      guardBaseSpeed: 650, guardMinSpeed: 400, guardVision: 2, guardAlertVision: 4, guardRadioRange: 6, cameraRotateMs: 5000,
+    },
+  },
+  professional: { name: 'Professional', rules: {} },
+  legend: {
+    name: 'Legend',
+    rules: {
+      alarmDuration: 7000, alarmRadius: 12, reinforcements: 3, hackCost: 35, hackTime: 9000, thiefHp: 2,
+      guardBaseSpeed: 420, guardSpeedPerLevel: 40, guardMinSpeed: 200,
+      guardVision: 4, guardAlertVision: 6, guardRadioRange: 14, cameraRange: 4, cameraRotateMs: 3000,
+      walkNoise: 2, sprintNoise: 5, pickNoise: 4,
+    },
+  },
+};
+const DEFAULT_PRESET = 'professional';
+
+// spec: a preset id, or { preset, ...overrides }. Throws on unknown presets and out-of-range values.
+// The result is plain data: { preset, name, ...every rule }, with preset 'custom' if anything was overridden.
+function resolveRules(spec) {
+  const opts = typeof spec === 'string' ? { preset: spec } : (spec || {});
+  const presetId = opts.preset || DEFAULT_PRESET;
+  // Own keys only, so 'constructor' and the like aren't taken for presets
+  if (typeof presetId !== 'string' || !Object.hasOwn(RULE_PRESETS, presetId)) throw new Error(`Unknown difficulty ${presetId}`);
+  const preset = RULE_PRESETS[presetId];
+  const rules = { ...DEFAULT_RULES, ...preset.rules };
+  let custom = false;
+  for (const [key, [min, max]] of Object.entries(RULE_LIMITS)) {
+    if (opts[key] === undefined || opts[key] === rules[key]) continue;
+    if (!Number.isInteger(opts[key]) || opts[key] < min || opts[key] > max) {
+      throw new Error(`${key} must be a whole number from ${min} to ${max}`);
+    }
+    rules[key] = opts[key];
+    custom = true;
+  }
+  return custom
+    ? { preset: 'custom', name: `Custom (${preset.name})`, ...rules }
+    : { preset: presetId, name: preset.name, ...rules };
+}
+
+// Scores are only compared between runs with the same key: the preset id,
+// or a short hash of the values for custom rules
+function rulesKey(rules) {
+  if (!rules) return DEFAULT_PRESET;
+  if (rules.preset !== 'custom') return rules.preset;
+  const values = Object.keys(RULE_LIMITS).map(k => rules[k]).join(',');
+  return `custom-${crypto.createHash('sha1').update(values).digest('hex').slice(0, 8)}`;
+}
+
+function guardSpeed(rules, level) {
+  return Math.max(rules.guardMinSpeed, rules.guardBaseSpeed - level * rules.guardSpeedPerLevel);
+}
+
+module.exports = { DEFAULT_RULES, RULE_LIMITS, RULE_PRESETS, DEFAULT_PRESET, resolveRules, rulesKey, guardSpeed };
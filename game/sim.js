@@ -0,0 +1,145 @@
+// ============================================================
+// HEIST — Headless simulation harness
+// A room with no sockets and no timers: create a game state, feed
+// it scripted inputs and ticks, then inspect the result. Used by
+// the test suite, and handy for reproducing a bug from a seed.
+// ============================================================
+const { createRng } = require('./rng');
+const { resolveRules } = require('./rules');
+const { createGuard, linkFloors } = require('./levelgen');
+const { createGameState, buildGameState } = require('./state');
+const { tickRoom } = require('./logic');
+const { applyInput } = require('./input');
+const { solvePuzzle } = require('./hacking');
+const { pinCatches } = require('./lockpick');
+const { createRecording, finishRecording } = require('./replay');
+
+const TICK_MS = 100;
+
+const DIRS = { U: { dx: 0, dy: -1 }, D: { dx: 0, dy: 1 }, L: { dx: -1, dy: 0 }, R: { dx: 1, dy: 0 } };
+
+// Builds level data from ASCII rows, using the map glyphs plus:
+//   @  thief start        G  guard standing still
+// Cameras face up, lasers start active on a 3s cycle, safes hold 1500, and every tile is lit.
+// Pass an array of row arrays for a building, ground floor first.
+function levelFromAscii(rows, level = 1) {
+  const floors = Array.isArray(rows[0]) ? rows : [rows];
+  const map = floors[0].map((_, y) => floors.map(f => f[y]).join('').split(''));
+  const ld = {
+    width: map[0].length, height: map.length, map, rooms: [],
+    doors: [], loot: [], chargingPads: [], alarmPanels: [], switches: [], cameras: [], guards: [],
+    thiefStart: null, exitPos: null, lasers: [], tripwires: [], safes: [],
+  };
+  for (let y = 0; y < map.length; y++) {
+    for (let x = 0; x < map[y].length; x++) {
+      switch (map[y][x]) {
+        case '@': ld.thiefStart = { x, y }; map[y][x] = '.'; break;
+        case 'G': ld.guards.push(createGuard(x, y, [{ x, y }], level)); map[y][x] = '.'; break;
+        case 'D': ld.doors.push({ x, y, type: 'electronic', open: false }); break;
+        case 'L': ld.doors.push({ x, y, type: 'physical', open: false }); break;
+        case '*': ld.loot.push({ x, y, primary: true, collected: false }); break;
+        case '$': ld.loot.push({ x, y, primary: false, collected: false }); break;
+        case '^': ld.chargingPads.push({ x, y }); break;
+        case 'A': ld.alarmPanels.push({ x, y }); break;
+        case 'W': ld.switches.push({ x, y }); break;
+        case 'C': ld.cameras.push({ x, y, active: true, dir: 0 }); break;
+        case '>': ld.exitPos = { x, y }; break;
+        case 'Z': ld.lasers.push({ x, y, active: true, period: 3000, timer: 0, horizontal: false }); break;
+        case 'T': ld.tripwires.push({ x, y, triggered: false }); break;
+        case 'S': ld.safes.push({ x, y, open: false, lootValue: 1500 }); break;
+      }
+    }
+  }
+  if (!ld.thiefStart) throw new Error('ASCII level needs a thief start (@)');
+  return linkFloors(ld, floors[0][0].length);
+}
+
+// opts: { level, seed, prevState, map, rules, loadout } — pass `map` (see levelFromAscii) for a hand-built level,
+// `rules` as a preset id or { preset, ...overrides }. The heist starts straight away with the
+// packed gadgets, unless `loadout` is set: then both roles have to send 'ready' first.
+function createSim({ level = 1, seed = 'SIM', prevState = null, map = null, rules = null, loadout = false } = {}) {
+  const room = { code: 'SIM', seed, level, paused: false, spectators: [], players: {}, totalScore: 0 };
+  const resolved = resolveRules(rules);
+  room.gameState = map
+    ? buildGameState(level, levelFromAscii(map, level), prevState, seed, createRng(0), resolved)
+    : createGameState(level, prevState, seed, resolved);
+  room.recording = createRecording(room);
+
+  const sim = {
+    room,
+    get state() { return room.gameState; },
+
+    // Same path as an accepted socket input, including the replay log
+    input(role, action, fields = {}) {
+      const msg = { action, ...fields };
+      room.recording.inputs.push({
+        t: room.gameState.timer, role, action, dx: msg.dx, dy: msg.dy, gadget: msg.gadget, answer: msg.answer,
+      });
+      applyInput(room.gameState, role, msg);
+      return sim;
+    },
+
+    tick(n = 1) {
+      for (let i = 0; i < n; i++) tickRoom(room, TICK_MS);
+      return sim;
+    },
+
+    wait(ms) {
+      return sim.tick(Math.ceil(ms / TICK_MS));
+    },
+
+    // Moves one tile per letter: 'RRDL' (U/D/L/R)
+    walk(role, path) {
+      for (const c of path) sim.input(role, 'move', DIRS[c]);
+      return sim;
+    },
+
+    // Steers the drone cursor with move inputs, so the recording stays replayable
+    droneTo(x, y) {
+      const d = room.gameState.drone;
+      while (d.x !== x) sim.input('drone', 'move', { dx: Math.sign(x - d.x), dy: 0 });
+      while (d.y !== y) sim.input('drone', 'move', { dx: 0, dy: Math.sign(y - d.y) });
+      return sim;
+    },
+
+    // Hacks whatever is under the drone cursor, solving the minigame if one starts
+    hack() {
+      sim.input('drone', 'hack');
+      const hack = room.gameState.drone.hack;
+      if (hack) sim.input('drone', 'hackSubmit', { answer: solvePuzzle(hack.puzzle) });
+      return sim;
+    },
+
+    // Picks the lock next to the thief, waiting for the pick to line up with each pin
+    pickLock() {
+      sim.input('thief', 'pickStart');
+      for (let ticks = 0; room.gameState.thief.lock && ticks < 1000; ticks++) {
+        const lock = room.gameState.thief.lock;
+        if (pinCatches(lock, room.gameState.timer)) sim.input('thief', 'pickSet');
+        else sim.tick();
+      }
+      return sim;
+    },
+
+    // Steps: { tick: n } | { wait: ms } | { role, action, ...fields }
+    run(script) {
+      for (const step of script) {
+        if (step.tick !== undefined) sim.tick(step.tick);
+        else if (step.wait !== undefined) sim.wait(step.wait);
+        else {
+          const { role, action, ...fields } = step;
+          sim.input(role, action, fields);
+        }
+      }
+      return sim;
+    },
+
+    recording() {
+      return finishRecording(room);
+    },
+  };
+  if (!loadout) sim.input('thief', 'ready').input('drone', 'ready');
+  return sim;
+}
+
+module.exports = { TICK_MS, levelFromAscii, createSim };
@@ -0,0 +1,243 @@
+// ============================================================
+// HEIST — Snapshots
+// What gets sent to each socket: per-role views and deltas
+// ============================================================
+const { hasLineOfSight, thiefStance, stanceNoise, thiefVisibility } = require('./logic');
+const { hackView } = require('./hacking');
+
+function buildSnapshot(room) {
+  const state = room.gameState;
+
+  // id: stays put when the thief's view leaves some guards out (see assignGuardId)
+  const guardsBroadcast = state.guards.map(g => ({
+    id: g.id, x: g.x, y: g.y, dir: g.dir, frozen: g.frozen, frozenTimer: g.frozenTimer,
+    alertLevel: g.alertLevel, reinforcement: !!g.reinforcement,
+    searching: !!(g.searchPoints && g.searchPoints.length), unconscious: !!g.unconscious,
+  }));
+
+  const payload = {
+    type: 'state',
+    level: state.level,
+    seed: state.seed,
+    map: state.map,
+    mapWidth: state.mapWidth,
+    mapHeight: state.mapHeight,
+    floorWidth: state.floorWidth,
+    floorCount: state.floorCount,
+    thief: {
+      x: state.thief.x, y: state.thief.y,
+      hp: state.thief.hp, maxHp: state.thief.maxHp,
+      loot: state.thief.loot, totalLoot: state.thief.totalLoot,
+      picking: state.thief.picking, lock: state.thief.lock, pickTolerance: state.thief.pickTolerance,
+      spotted: state.thief.spotted, invulnTimer: state.thief.invulnTimer,
+      action: state.thief.action,
+      visionRadius: state.thief.visionRadius,
+      sprinting: state.thief.sprinting, sprintTimer: state.thief.sprintTimer,
+      sprintCooldown: state.thief.sprintCooldown, sprintCooldownMax: state.thief.sprintCooldownMax,
+      sprintDuration: state.thief.sprintDuration,
+      arsenal: state.thief.arsenal, gadgets: state.thief.gadgets,
+      stance: thiefStance(state), crouching: state.thief.crouching,
+      noise: stanceNoise(state), visibility: thiefVisibility(state),
+      dragging: state.thief.dragging !== null,
+    },
+    drone: {
+      x: state.drone.x, y: state.drone.y,
+      battery: state.drone.battery, maxBattery: state.drone.maxBattery,
+      hacks: state.drone.hacks, charging: state.drone.charging,
+      chargeTimer: state.drone.chargeTimer, chargeSpeed: state.drone.chargeSpeed,
+      hackCost: state.drone.hackCost,
+      arsenal: state.drone.arsenal, gadgets: state.drone.gadgets,
+      ping: state.drone.ping,
+      hack: hackView(state.drone.hack),
+    },
+    guards: guardsBroadcast,
+    doors: state.doors,
+    loot: state.loot,
+    cameras: state.cameras.map(c => ({ x: c.x, y: c.y, active: c.active, dir: c.dir, looped: c.loopTimer > 0 })),
+    chargingPads: state.chargingPads,
+    alarmPanels: state.alarmPanels,
+    light: state.light.map(r => r.join('')),
+    switches: state.switches.map(sw => ({ x: sw.x, y: sw.y, on: sw.on })),
+    lasers: state.lasers.map(l => ({ x: l.x, y: l.y, active: l.active, period: l.period, timer: l.timer })),
+    tripwires: state.tripwires,
+    safes: state.safes,
+    elevators: state.elevators,
+    exitPos: state.exitPos,
+    phase: state.phase,
+    ready: state.ready,
+    alarmActive: state.alarmActive,
+    alarmStage: state.alarmStage,
+    alarmPeakStage: state.alarmPeakStage,
+    alarmTimer: state.alarmTimer,
+    exitLocked: state.exitLocked,
+    primaryLootTotal: state.primaryLootTotal,
+    primaryLootCollected: state.primaryLootCollected,
+    bonusLootCollected: state.bonusLootCollected,
+    exitOpen: state.exitOpen,
+    gameOver: state.gameOver,
+    gameWon: state.gameWon,
+    timer: state.timer,
+    score: state.score,
+    alertTriggered: state.alertTriggered,
+    takedowns: state.takedowns,
+    noisemakers: state.noisemakers,
+    smokeClouds: state.smokeClouds,
+    decoys: state.decoys,
+    objectives: state.objectives.map(o => ({ id: o.id, desc: o.desc, completed: o.completed })),
+    shakeEvents: state.shakeEvents.slice(),
+    sounds: state.sounds.slice(),
+    paused: room.paused,
+    spectators: room.spectators.length,
+    totalScore: room.totalScore,
+    // A hand-authored level is a one-off heist rather than part of the 5-level run
+    levelName: state.levelName,
+    maxLevels: state.levelName ? state.level : state.rules.maxLevels,
+    rules: state.rules,
+  };
+
+  return payload;
+}
+
+// ============================================================
+// VISIBILITY — the thief only receives what it can actually see
+// ============================================================
+const PING_REVEAL_RADIUS = 2;
+
+function computeThiefVisibility(state) {
+  const visible = [];
+  for (let y = 0; y < state.mapHeight; y++) visible[y] = new Array(state.mapWidth).fill(false);
+  const tx = state.thief.x, ty = state.thief.y;
+  const r = state.thief.visionRadius || 4;
+  for (let y = Math.max(0, ty - r); y <= Math.min(state.mapHeight - 1, ty + r); y++) {
+    for (let x = Math.max(0, tx - r); x <= Math.min(state.mapWidth - 1, tx + r); x++) {
+      if (Math.abs(x - tx) + Math.abs(y - ty) > r) continue;
+      if ((x === tx && y === ty) || hasLineOfSight(state, state.thief, { x, y })) visible[y][x] = true;
+    }
+  }
+  // Drone pings reveal the area around them, walls or not
+  const ping = state.drone.ping;
+  if (ping) {
+    for (let y = ping.y - PING_REVEAL_RADIUS; y <= ping.y + PING_REVEAL_RADIUS; y++) {
+      for (let x = ping.x - PING_REVEAL_RADIUS; x <= ping.x + PING_REVEAL_RADIUS; x++) {
+        if (x < 0 || x >= state.mapWidth || y < 0 || y >= state.mapHeight) continue;
+        if (Math.abs(x - ping.x) + Math.abs(y - ping.y) <= PING_REVEAL_RADIUS) visible[y][x] = true;
+      }
+    }
+  }
+  return visible;
+}
+
+function filterSnapshotForThief(state, snap) {
+  const visible = computeThiefVisibility(state);
+  const seen = (e) => visible[e.y] && visible[e.y][e.x];
+  // Unseen tiles are sent as '?'; armed tripwires look like floor to the thief
+  const map = state.map.map((row, y) => row.map((tile, x) => {
+    if (!visible[y][x]) return '?';
+    return tile === 'T' ? '.' : tile;
+  }));
+  const light = state.light.map((row, y) => row.map((l, x) => visible[y][x] ? l : 0).join(''));
+  return {
+    ...snap,
+    map,
+    light,
+    guards: snap.guards.filter(seen),
+    doors: snap.doors.filter(seen),
+    loot: snap.loot.filter(seen),
+    cameras: snap.cameras.filter(seen),
+    chargingPads: snap.chargingPads.filter(seen),
+    alarmPanels: snap.alarmPanels.filter(seen),
+    switches: snap.switches.filter(seen),
+    lasers: snap.lasers.filter(seen),
+    tripwires: snap.tripwires.filter(t => t.triggered && seen(t)),
+    safes: snap.safes.filter(seen),
+    elevators: snap.elevators.filter(seen),
+    decoys: snap.decoys.filter(seen),
+    exitPos: seen(snap.exitPos) ? snap.exitPos : null,
+  };
+}
+
+// ============================================================
+// DELTA SNAPSHOTS — keyframe on join/reconnect/new level, diffs after
+// ============================================================
+// One-shot event lists: sent as-is every tick they're non-empty, never diffed
+const ONE_SHOT_KEYS = ['sounds', 'shakeEvents'];
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffFields(prev, next) {
+  let out = null;
+  for (const k of Object.keys(next)) {
+    if (!sameValue(prev[k], next[k])) (out = out || {})[k] = next[k];
+  }
+  return out;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Keys that survive JSON, which drops undefined ones
+function definedKeys(o) {
+  return Object.keys(o).filter(k => o[k] !== undefined);
+}
+
+// A patch can only add or change fields, so an entry that lost one is sent whole
+function sameKeys(a, b) {
+  const ka = definedKeys(a), kb = definedKeys(b);
+  return ka.length === kb.length && ka.every(k => b[k] !== undefined);
+}
+
+// Returns null when nothing changed. Format:
+//   tiles: [[x, y, glyph], ...]           changed map tiles
+//   set:   { key: value }                 replaced top-level values
+//   unset: [key, ...]                     top-level keys that are gone
+//   patch: { key: { field|index: ... } }  changed fields of objects / same-length entity lists,
+//                                         where every entry kept the same keys
+function diffSnapshot(prev, next) {
+  const delta = { type: 'delta' };
+  let changed = false;
+
+  const tiles = [];
+  for (let y = 0; y < next.map.length; y++) {
+    const pr = prev.map[y], nr = next.map[y];
+    for (let x = 0; x < nr.length; x++) {
+      if (pr[x] !== nr[x]) tiles.push([x, y, nr[x]]);
+    }
+  }
+  if (tiles.length) { delta.tiles = tiles; changed = true; }
+
+  for (const key of Object.keys(next)) {
+    if (key === 'type' || key === 'map') continue;
+    const a = prev[key], b = next[key];
+    if (ONE_SHOT_KEYS.includes(key)) {
+      if (b.length) { delta[key] = b; changed = true; }
+      continue;
+    }
+    if (b === undefined || sameValue(a, b)) continue; // gone keys go in unset
+    changed = true;
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+        b.every((item, i) => isPlainObject(item) && isPlainObject(a[i]) && sameKeys(a[i], item))) {
+      const patch = {};
+      b.forEach((item, i) => {
+        const f = diffFields(a[i], item);
+        if (f) patch[i] = f;
+      });
+      (delta.patch = delta.patch || {})[key] = patch;
+    } else if (isPlainObject(a) && isPlainObject(b) && sameKeys(a, b)) {
+      (delta.patch = delta.patch || {})[key] = diffFields(a, b);
+    } else {
+      (delta.set = delta.set || {})[key] = b;
+    }
+  }
+  const gone = definedKeys(prev).filter(k => k !== 'type' && next[k] === undefined);
+  if (gone.length) { delta.unset = gone; changed = true; }
+  return changed ? delta : null;
+}
+
+module.exports = {
+  buildSnapshot, computeThiefVisibility, filterSnapshotForThief, diffSnapshot,
+};
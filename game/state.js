@@ -0,0 +1,140 @@
+// ============================================================
+// HEIST — Game state factory
+// ============================================================
+const { levelRng, hashSeed, createRngState } = require('./rng');
+const { generateLevel } = require('./levelgen');
+const { pickObjectives, objectivesById } = require('./objectives');
+const { levelFromFile } = require('./levelfile');
+const { resolveRules, guardSpeed } = require('./rules');
+const { fullyLit, switchZone } = require('./light');
+const { startingKit } = require('./gadgets');
+const { BASE_PICK_TOLERANCE, lockPinCount } = require('./lockpick');
+const { assignGuardId } = require('./logic');
+
+function createGameState(level, prevState, seed, rules) {
+  const rng = levelRng(seed, level);
+  return buildGameState(level, generateLevel(level, rng), prevState, seed, rng, rules);
+}
+
+// A hand-authored level (see levelfile.js); expects a validated file
+function createGameStateFromFile(file, prevState, seed, rules) {
+  return buildGameState(file.level, levelFromFile(file), prevState, seed, levelRng(seed, file.level), rules);
+}
+
+// Turns level data (generated or hand-built) into a fresh game state.
+// prevState carries the thief/drone stats over from the previous level.
+// rules come from resolveRules; the default preset if left out.
+function buildGameState(level, ld, prevState, seed, rng, rules = resolveRules()) {
+  for (const guard of ld.guards) guard.speed = guardSpeed(rules, level);
+  const light = ld.light ? ld.light.map(r => r.slice()) : fullyLit(ld.width, ld.height);
+  const state = {
+    level,
+    seed,
+    rules,
+    levelName: ld.name || null, // hand-authored levels only
+    map: ld.map,
+    mapWidth: ld.width,
+    mapHeight: ld.height,
+    floorWidth: ld.floorWidth,
+    floorCount: ld.floorCount,
+    thief: {
+      x: ld.thiefStart.x, y: ld.thiefStart.y,
+      hp: prevState ? prevState.thief.maxHp : rules.thiefHp,
+      maxHp: prevState ? prevState.thief.maxHp : rules.thiefHp,
+      loot: 0, totalLoot: 0,
+      picking: false, lock: null, // see lockpick.js
+      pickTolerance: prevState ? (prevState.thief.pickTolerance || BASE_PICK_TOLERANCE) : BASE_PICK_TOLERANCE,
+      spotted: false, invulnTimer: 0, action: 'Idle',
+      visionRadius: prevState ? (prevState.thief.visionRadius || 4) : 4,
+      // Abilities
+      sprinting: false, sprintTimer: 0,
+      sprintDuration: prevState ? (prevState.thief.sprintDuration || 2000) : 2000,
+      sprintCooldown: 0, sprintCooldownMax: 10000,
+      crouching: false,
+      dragging: null, // index into guards of the body in hand
+      noise: 0, noiseTimer: 0, // radius of the last footstep, and how long guards can still hear it
+      locksPicked: 0,
+      // Gadgets owned, as {id: tier}, and packed for this level, as [{id, charges}]
+      ...startingKit('thief', prevState && prevState.thief),
+    },
+    drone: {
+      x: Math.floor(ld.floorWidth / 2), y: Math.floor(ld.height / 2),
+      battery: prevState ? prevState.drone.maxBattery : rules.droneBattery,
+      maxBattery: prevState ? prevState.drone.maxBattery : rules.droneBattery,
+      hacks: 0,
+      charging: false, chargeTimer: 0,
+      chargeSpeed: prevState ? (prevState.drone.chargeSpeed || 3000) : 3000,
+      freezeDuration: prevState ? (prevState.drone.freezeDuration || 5000) : 5000,
+      hackCost: prevState ? (prevState.drone.hackCost || rules.hackCost) : rules.hackCost,
+      ping: null, // {x, y, timer}
+      hack: null, // the minigame in progress, see hacking.js
+      ...startingKit('drone', prevState && prevState.drone),
+    },
+    guards: ld.guards,
+    doors: ld.doors.map(d => (d.type === 'physical' ? { ...d, pins: d.pins || lockPinCount(seed, level, d) } : d)),
+    loot: ld.loot,
+    cameras: ld.cameras,
+    chargingPads: ld.chargingPads,
+    alarmPanels: ld.alarmPanels,
+    lasers: ld.lasers,
+    tripwires: ld.tripwires,
+    safes: ld.safes,
+    stairs: ld.stairs,
+    elevators: ld.elevators,
+    exitPos: ld.exitPos,
+    rooms: ld.rooms || [], // guards search these
+    light, // [y][x] 0 dark, 1 dim, 2 lit
+    switches: (ld.switches || []).map(sw => ({ x: sw.x, y: sw.y, on: true, zone: switchZone(light, ld.map, sw) })),
+    phase: 'loadout', // then 'heist' once both roles are ready
+    ready: { thief: false, drone: false },
+    mapVersion: 0, // bumped whenever a door or safe opens, invalidating guard paths
+    alarmActive: false,
+    alarmStage: 0, // 0-3, see raiseAlarm
+    alarmPeakStage: 0, // highest stage this level, for the stealth bonus
+    alarmTimer: 0,
+    exitLocked: false, // stage 3 lockdown
+    primaryLootTotal: ld.loot.filter(l => l.primary).length,
+    primaryLootCollected: 0,
+    bonusLootCollected: 0,
+    exitOpen: false,
+    gameOver: false,
+    gameWon: false,
+    timer: 0,
+    score: 0,
+    alertTriggered: false,
+    alarmsRaised: 0,
+    guardsHacked: 0,
+    takedowns: 0,
+    puzzleRng: createRngState(hashSeed(`${seed}:${level}:puzzles`)), // rolls hacking puzzles and lock pins
+    guardIdRng: createRngState(hashSeed(`${seed}:${level}:guards`)), // see assignGuardId
+    // Active effects
+    noisemakers: [], // {x, y, timer}
+    smokeClouds: [], // {x, y, timer}
+    decoys: [], // {x, y, timer}
+    // Signs of the crew for guards to notice
+    disturbances: [], // {x, y, kind: 'door' | 'camera' | 'loot' | 'safe' | 'lights' | 'wall', noticed}
+    // Bonus objectives
+    objectives: ld.objectives ? objectivesById(ld.objectives) : pickObjectives(2, rng),
+    // Layout attempts, repairs etc. from generateLevel (null for hand-built levels)
+    genStats: ld.stats || null,
+    // Screen shake events
+    shakeEvents: [],
+    // Sound events queue
+    sounds: [],
+  };
+  for (const guard of state.guards) assignGuardId(state, guard);
+  return state;
+}
+
+// The stats buildGameState reads from prevState — enough to start the next level after a restart
+const CARRIED_STATS = {
+  thief: ['maxHp', 'pickTolerance', 'visionRadius', 'sprintDuration', 'arsenal', 'gadgets'],
+  drone: ['maxBattery', 'chargeSpeed', 'freezeDuration', 'hackCost', 'arsenal', 'gadgets'],
+};
+
+function carryOver(state) {
+  const pick = (obj, keys) => Object.fromEntries(keys.map(k => [k, obj[k]]));
+  return { thief: pick(state.thief, CARRIED_STATS.thief), drone: pick(state.drone, CARRIED_STATS.drone) };
+}
+
+module.exports = { createGameState, createGameStateFromFile, buildGameState, carryOver };
@@ -0,0 +1,60 @@
+// ============================================================
+// HEIST — Upgrade shop
+// Between levels the crew buys gadgets, extra charges for the
+// ones it already has (see gadgets.js), and stat upgrades
+// ============================================================
+const { GADGETS, MAX_GADGET_TIER } = require('./gadgets');
+const { BASE_PICK_TOLERANCE } = require('./lockpick');
+
+// Each tier adds step to the role's stat, and costs more than the last.
+// The tier is worked out from the stat, so it carries over with it.
+const STAT_UPGRADES = [
+  { id: 'steady_hands', role: 'thief', stat: 'pickTolerance', base: BASE_PICK_TOLERANCE, step: 0.025,
+    name: 'Steady Hands', desc: 'Wider band to set each lock pin in', cost: 600 },
+];
+
+function statTiers(state, u) {
+  return Math.round((state[u.role][u.stat] - u.base) / u.step);
+}
+
+// Every gadget and stat upgrade for the role: to buy, to upgrade, or maxed out
+function shopOffers(state, role) {
+  const arsenal = state[role].arsenal;
+  const gadgets = GADGETS.filter(g => g.role === role).map(g => {
+    const owned = g.id in arsenal;
+    const tier = owned ? arsenal[g.id] : -1;
+    return {
+      id: g.id,
+      name: owned ? `${g.name} +1 charge` : g.name,
+      desc: g.desc,
+      cost: owned ? g.upgradeCost * (tier + 1) : g.cost,
+      owned, tier,
+      maxed: owned && tier >= MAX_GADGET_TIER,
+    };
+  });
+  const stats = STAT_UPGRADES.filter(u => u.role === role).map(u => {
+    const bought = statTiers(state, u);
+    return {
+      id: u.id,
+      name: bought ? `${u.name} ${bought + 1}` : u.name,
+      desc: u.desc,
+      cost: u.cost * (bought + 1),
+      owned: bought > 0, tier: bought - 1,
+      maxed: bought > MAX_GADGET_TIER,
+    };
+  });
+  return [...gadgets, ...stats];
+}
+
+// Adds the offer to the role's arsenal or stats. Paying for it is up to the
+// caller; returns false if the offer isn't open
+function buyUpgrade(state, role, id) {
+  const offer = shopOffers(state, role).find(o => o.id === id);
+  if (!offer || offer.maxed) return false;
+  const stat = STAT_UPGRADES.find(u => u.id === id);
+  if (stat) state[role][stat.stat] = Math.round((stat.base + stat.step * (offer.tier + 2)) * 1000) / 1000;
+  else state[role].arsenal[id] = offer.tier + 1;
+  return true;
+}
+
+module.exports = { STAT_UPGRADES, shopOffers, buyUpgrade };
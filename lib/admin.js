@@ -0,0 +1,41 @@
+// ============================================================
+// HEIST — Admin access
+// The admin page, its API and /metrics sit behind HTTP Basic auth
+// with HEIST_ADMIN_PASSWORD as the password (any user name works).
+// Without a password they're switched off.
+// ============================================================
+const crypto = require('crypto');
+
+const REALM = 'HEIST admin';
+
+// Hashed first, so both sides have the same length for timingSafeEqual
+const digest = (s) => crypto.createHash('sha256').update(s).digest();
+
+// The password in a Basic Authorization header, or null
+function basicPassword(header) {
+  const m = /^Basic\s+(\S+)$/i.exec(header || '');
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  return colon < 0 ? null : decoded.slice(colon + 1);
+}
+
+// Express middleware. Anything but a GET must be JSON, so another site can't
+// post a plain form that the browser sends with the admin's saved password.
+function createAdminAuth(password) {
+  const expected = password ? digest(password) : null;
+  return (req, res, next) => {
+    if (!expected) return res.status(404).json({ error: 'Admin is off: set HEIST_ADMIN_PASSWORD to turn it on' });
+    const given = basicPassword(req.get('authorization'));
+    if (given === null || !crypto.timingSafeEqual(digest(given), expected)) {
+      res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+      return res.status(401).json({ error: 'Admin password required' });
+    }
+    if (req.method !== 'GET' && !req.is('application/json')) {
+      return res.status(415).json({ error: 'Send JSON' });
+    }
+    next();
+  };
+}
+
+module.exports = { createAdminAuth };
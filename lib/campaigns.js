@@ -0,0 +1,66 @@
+// ============================================================
+// HEIST — Campaign store
+// One JSON file per campaign, so a run survives restarts and
+// redeploys. Files are written to a temp name and renamed into
+// place, so a crash mid-save never leaves a half-written record.
+// ============================================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CAMPAIGN_VERSION = 2;
+const CAMPAIGN_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CAMPAIGN_CODE_LENGTH = 8;
+const CAMPAIGN_CODE_RE = new RegExp(`^[${CAMPAIGN_CODE_CHARS}]{${CAMPAIGN_CODE_LENGTH}}$`);
+
+function normalizeCampaignCode(code) {
+  if (typeof code !== 'string') return null;
+  const c = code.replace(/[\s-]/g, '').toUpperCase();
+  return CAMPAIGN_CODE_RE.test(c) ? c : null;
+}
+
+function createCampaignStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (code) => path.join(dir, `${code}.json`);
+
+  function newCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < CAMPAIGN_CODE_LENGTH; i++) code += CAMPAIGN_CODE_CHARS[crypto.randomInt(CAMPAIGN_CODE_CHARS.length)];
+    } while (fs.existsSync(fileOf(code)));
+    return code;
+  }
+
+  // null for unknown codes and unreadable or outdated records
+  function load(code) {
+    const c = normalizeCampaignCode(code);
+    if (!c) return null;
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(fileOf(c), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (!record || record.version !== CAMPAIGN_VERSION || record.code !== c) return null;
+    return record;
+  }
+
+  function save(record) {
+    const c = normalizeCampaignCode(record.code);
+    if (!c) throw new Error(`Invalid campaign code ${record.code}`);
+    const data = JSON.stringify({ ...record, version: CAMPAIGN_VERSION, code: c, savedAt: new Date().toISOString() });
+    const tmp = path.join(dir, `.${c}.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, fileOf(c));
+  }
+
+  function remove(code) {
+    const c = normalizeCampaignCode(code);
+    if (c) fs.rmSync(fileOf(c), { force: true });
+  }
+
+  return { newCode, load, save, remove };
+}
+
+module.exports = { CAMPAIGN_VERSION, normalizeCampaignCode, createCampaignStore };
@@ -0,0 +1,93 @@
+// ============================================================
+// HEIST — Leaderboard
+// Finished runs, appended to a JSONL file one line per run.
+// The file is read once at startup; queries run in memory.
+// ============================================================
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_PRESET, rulesKey } = require('../game/rules');
+
+const TEAM_NAME_MAX = 24;
+
+function normalizeTeamName(name) {
+  if (typeof name !== 'string') return null;
+  const team = name.replace(/\s+/g, ' ').replace(/[^\x20-\x7e]/g, '').trim().slice(0, TEAM_NAME_MAX);
+  return team || null;
+}
+
+// What a won level adds to a run
+function levelResult(state) {
+  return {
+    level: state.level,
+    score: state.score,
+    time: state.timer,
+    alarms: state.alarmsRaised || 0,
+    alarmStage: state.alarmPeakStage || 0,
+    takedowns: state.takedowns || 0,
+    objectives: state.objectives.filter(o => o.completed).map(o => o.id),
+  };
+}
+
+function createLeaderboard(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const runs = [];
+  let text = '';
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    // A crash mid-append can leave a torn last line
+    try { runs.push(JSON.parse(line)); } catch (e) {}
+  }
+
+  // run: { team, seed, levelName, rules, levels: [levelResult] }
+  function record(run) {
+    const total = (key) => run.levels.reduce((sum, l) => sum + l[key], 0);
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      team: run.team,
+      seed: run.seed,
+      levelName: run.levelName || null,
+      rules: run.rules,
+      rulesKey: rulesKey(run.rules),
+      score: total('score'),
+      time: total('time'),
+      alarms: total('alarms'),
+      objectivesCompleted: run.levels.reduce((sum, l) => sum + l.objectives.length, 0),
+      ghost: run.levels.every(l => l.alarms === 0 && !l.takedowns),
+      levels: run.levels,
+      finishedAt: new Date().toISOString(),
+    };
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    runs.push(entry);
+    return entry;
+  }
+
+  // Whole runs, or single levels when opts.level is set. Runs only compete with
+  // runs on the same rules (see rulesKey), and hand-built levels with the same level file.
+  // opts: { seed, levelName, rules: rules key, level, ghost, sort: 'score' | 'time', limit }
+  function query(opts = {}) {
+    const key = opts.rules || DEFAULT_PRESET;
+    let rows = runs.filter(r => r.levelName === (opts.levelName || null) && (r.rulesKey || DEFAULT_PRESET) === key &&
+      (!opts.seed || r.seed === opts.seed));
+    if (opts.level) {
+      rows = rows.flatMap(r => r.levels.filter(l => l.level === opts.level).map(l => ({
+        id: r.id, team: r.team, seed: r.seed, levelName: r.levelName, rulesKey: r.rulesKey, finishedAt: r.finishedAt,
+        ...l, ghost: l.alarms === 0 && !l.takedowns,
+      })));
+    }
+    if (opts.ghost) rows = rows.filter(r => r.ghost);
+    rows.sort(opts.sort === 'time'
+      ? (a, b) => a.time - b.time || b.score - a.score
+      : (a, b) => b.score - a.score || a.time - b.time);
+    return rows.slice(0, opts.limit || rows.length).map((r, i) => ({ rank: i + 1, ...r }));
+  }
+
+  return { record, query };
+}
+
+module.exports = { TEAM_NAME_MAX, normalizeTeamName, levelResult, createLeaderboard };
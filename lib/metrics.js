@@ -0,0 +1,25 @@
+// ============================================================
+// HEIST — Metrics
+// GET /metrics in the Prometheus text format. A family is
+// { name, help, type: 'gauge' | 'counter', samples: [{ labels?, value }] }.
+// ============================================================
+
+// Label values are quoted, with backslashes, quotes and newlines escaped
+function labelText(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return '';
+  const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+// true and false come out as 1 and 0
+function formatMetrics(families) {
+  const lines = [];
+  for (const { name, help, type, samples } of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of samples) lines.push(`${name}${labelText(labels)} ${Number(value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { formatMetrics };
@@ -0,0 +1,47 @@
+// ============================================================
+// HEIST — Replay runner
+// Uploaded replays are re-simulated on a worker thread of their own,
+// one at a time, so a long one can't hold up the sockets or the rooms.
+// The worker is stopped if it runs past the time or memory limit.
+// ============================================================
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'replayworker.js');
+
+// maxBytes: the largest response (frames as JSON) the worker will hand back
+function createReplayRunner({ timeoutMs = 15000, maxMemoryMb = 256, maxBytes = 4 * 1024 * 1024 } = {}) {
+  let busy = false;
+
+  // body: the uploaded recording as JSON text. Resolves to { json } with the
+  // frames, or { error, status } — it never rejects.
+  function run(body) {
+    if (busy) return Promise.resolve({ error: 'Another replay is loading, try again in a moment', status: 503 });
+    busy = true;
+    return new Promise(resolve => {
+      const worker = new Worker(WORKER_FILE, {
+        workerData: { body, maxBytes },
+        resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+      });
+      let done = false;
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        busy = false;
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish({ error: 'Replay took too long to simulate', status: 422 }), timeoutMs);
+      worker.once('message', (msg) => finish(msg.error ? { error: msg.error, status: 400 } : msg));
+      worker.once('error', (e) => finish({
+        error: e.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'Replay is too big to simulate' : 'Replay failed', status: 422,
+      }));
+      worker.once('exit', () => finish({ error: 'Replay failed', status: 500 }));
+    });
+  }
+
+  return { run };
+}
+
+module.exports = { createReplayRunner };
@@ -0,0 +1,19 @@
+// ============================================================
+// HEIST — Replay worker
+// Simulates one uploaded replay (see lib/replays.js), posts the
+// frames as JSON text or an error, and is then stopped.
+// ============================================================
+const { parentPort, workerData } = require('worker_threads');
+const { simulateReplay } = require('../game');
+
+const { body, maxBytes } = workerData;
+let result;
+try {
+  const json = JSON.stringify({ frames: simulateReplay(JSON.parse(body)) });
+  result = json.length > maxBytes
+    ? { error: `Replay is too big to send (over ${Math.round(maxBytes / 1024 / 1024)} MB)` }
+    : { json };
+} catch (e) {
+  result = { error: e.message };
+}
+parentPort.postMessage(result);
@@ -0,0 +1,331 @@
+// ============================================================
+// HEIST — Room simulation
+// Everything a room does once it exists: levels, the tick loop,
+// inputs, the shop, and a keyframe or delta for each viewer. It runs
+// inside a room worker (lib/roomworker.js). The main thread keeps the
+// sockets, and the two sides talk in messages:
+//
+//   in:  create, start, viewer, pause, input, upgrade, replay,
+//        nextLevel, retry, remove — each with the room's code
+//   out: send { messages: [[viewer key, data]] }, broadcast { data },
+//        status { status }, complete { run, totalScore }, failed (the room threw and is gone)
+//
+// A viewer key is the seat ('thief' or 'drone') for players and the
+// player id for spectators. A local co-op socket views from 'thief'.
+// ============================================================
+const {
+  createGameState, createGameStateFromFile, shopOffers, buyUpgrade, applyInput, tickRoom,
+  buildSnapshot, filterSnapshotForThief, thiefStance, diffSnapshot, createRecording, finishRecording, carryOver,
+} = require('../game');
+const { levelResult } = require('./leaderboard');
+
+const TICK_MS = 100;
+const TICK_BUDGET_MS = 50; // a tick slower than this is logged, at most once per SLOW_LOG_MS per room
+const SLOW_LOG_MS = 10000;
+
+const average = ({ ticks, totalMs }) => (ticks ? Math.round(totalMs / ticks * 100) / 100 : 0);
+
+// post(msg): to the main thread. campaigns: where progress is saved.
+// timers: { setInterval, clearInterval }, swapped out by tests.
+function createRoomHost({ post, campaigns, now = () => performance.now(), timers = { setInterval, clearInterval } }) {
+  const rooms = new Map();
+  let tickWindow = { ticks: 0, totalMs: 0, maxMs: 0 };
+
+  // opts: { seed, rules, levelFile, levelFileName, level, totalScore, carry, campaign, team, levelResults, isLocal }
+  function createRoom(code, opts) {
+    rooms.set(code, {
+      ...opts,
+      code,
+      gameState: null,
+      recording: null,
+      interval: null,
+      paused: false,
+      wonResult: null,
+      spectators: [], // viewer keys; the snapshot shows how many
+      viewers: new Map(), // key -> { seat, lastSnapshot, snapshotOf, ackSeq }
+      status: null,
+      tickWindow: { ticks: 0, totalMs: 0 },
+      slowLoggedAt: -Infinity,
+    });
+    saveCampaign(rooms.get(code));
+  }
+
+  function startLevel(room, prevState) {
+    if (room.levelFile) {
+      room.gameState = createGameStateFromFile(room.levelFile, prevState, room.seed, room.rules);
+      console.log(`Room ${room.code} level ${room.level} loaded from ${room.levelFileName}.json`);
+    } else {
+      room.gameState = createGameState(room.level, prevState, room.seed, room.rules);
+      const s = room.gameState.genStats;
+      console.log(`Room ${room.code} level ${room.level} generated: ${s.rooms}/${s.targetRooms} rooms (min ${s.minRooms}), ` +
+        `${s.attempts} layout attempt(s) in ${s.builds} build(s), ${s.repairs} repair(s), ${s.doors} doors, ${s.reachableTiles} reachable tiles`);
+    }
+    room.recording = createRecording(room);
+    room.wonResult = null;
+    saveCampaign(room);
+    reportStatus(room);
+  }
+
+  function startRoomLoop(room) {
+    startLevel(room, room.carry);
+    room.interval = timers.setInterval(() => guarded(room, () => tick(room)), TICK_MS);
+  }
+
+  function tick(room) {
+    const start = now();
+    tickRoom(room, TICK_MS);
+    broadcastState(room);
+    reportStatus(room);
+    const ms = now() - start;
+    tickWindow.ticks++;
+    tickWindow.totalMs += ms;
+    tickWindow.maxMs = Math.max(tickWindow.maxMs, ms);
+    room.tickWindow.ticks++;
+    room.tickWindow.totalMs += ms;
+    if (ms > TICK_BUDGET_MS && start - room.slowLoggedAt > SLOW_LOG_MS) {
+      room.slowLoggedAt = start;
+      console.warn(`Room ${room.code} tick took ${ms.toFixed(1)}ms (budget ${TICK_BUDGET_MS}ms)`);
+    }
+  }
+
+  // The won level's result, taken before upgrade purchases spend any of its score
+  function wonLevelResult(room) {
+    if (!room.wonResult) room.wonResult = levelResult(room.gameState);
+    return room.wonResult;
+  }
+
+  // Saves where the team would pick up if the room were lost. A won level counts as done.
+  function saveCampaign(room) {
+    const state = room.gameState;
+    const won = !!(state && state.gameWon);
+    try {
+      campaigns.save({
+        code: room.campaign,
+        seed: room.seed,
+        rules: room.rules,
+        levelName: room.levelFileName,
+        local: !!room.isLocal,
+        level: won ? room.level + 1 : room.level,
+        totalScore: won ? room.totalScore + state.score : room.totalScore,
+        carry: state ? carryOver(state) : room.carry,
+        team: room.team,
+        levelResults: won ? [...room.levelResults, wonLevelResult(room)] : room.levelResults,
+      });
+    } catch (e) {
+      console.error(`Campaign ${room.campaign} could not be saved: ${e.message}`);
+    }
+  }
+
+  // What the main thread needs to know about the room, sent when it changes.
+  // pace: the thief's move pace for the rate limit. outcome: 'won' or 'lost' once the level is over, else null
+  function reportStatus(room) {
+    const state = room.gameState;
+    const status = {
+      level: room.level,
+      pace: !state ? 'walk' : state.thief.dragging !== null ? 'drag' : thiefStance(state),
+      outcome: state && state.gameWon ? 'won' : state && state.gameOver ? 'lost' : null,
+    };
+    const prev = room.status;
+    if (prev && prev.level === status.level && prev.pace === status.pace && prev.outcome === status.outcome) return;
+    room.status = status;
+    post({ type: 'status', code: room.code, status });
+  }
+
+  function broadcast(room, obj) {
+    post({ type: 'broadcast', code: room.code, data: JSON.stringify(obj) });
+  }
+
+  // The viewer's keyframe or delta, or null when nothing changed
+  function snapshotFor(room, viewer, snap) {
+    let data;
+    if (viewer.lastSnapshot && viewer.snapshotOf === room.gameState) {
+      const delta = diffSnapshot(viewer.lastSnapshot, snap);
+      if (!delta) return null;
+      data = JSON.stringify(delta);
+    } else {
+      data = JSON.stringify(snap);
+    }
+    viewer.lastSnapshot = structuredClone(snap);
+    viewer.snapshotOf = room.gameState;
+    return data;
+  }
+
+  function broadcastState(room) {
+    const state = room.gameState;
+    if (!state) return;
+    const snap = buildSnapshot(room);
+    // Clear one-shot events
+    state.sounds = [];
+    state.shakeEvents = [];
+
+    const messages = [];
+    for (const [key, viewer] of room.viewers) {
+      let view = snap;
+      if (viewer.seat) {
+        // The drone (and local co-op) keep the omniscient view.
+        // ack: the last input seq handled, so the client can drop the moves it predicted up to there
+        view = { ...(key === 'thief' && !room.isLocal ? filterSnapshotForThief(state, snap) : snap), ack: viewer.ackSeq };
+      }
+      const data = snapshotFor(room, viewer, view);
+      if (data) messages.push([key, data]);
+    }
+    if (messages.length) post({ type: 'send', code: room.code, messages });
+  }
+
+  function sendUpgradeState(room) {
+    const availScore = room.totalScore + (room.gameState ? room.gameState.score : 0);
+    broadcast(room, {
+      type: 'upgrades',
+      score: availScore,
+      thiefUpgrades: shopOffers(room.gameState, 'thief').map(o => ({ ...o, affordable: availScore >= o.cost })),
+      droneUpgrades: shopOffers(room.gameState, 'drone').map(o => ({ ...o, affordable: availScore >= o.cost })),
+    });
+  }
+
+  function removeRoom(room) {
+    if (room.interval) timers.clearInterval(room.interval);
+    rooms.delete(room.code);
+  }
+
+  // Runs fn for the room. If it throws, only that room ends: the main thread is told
+  // it failed, and the worker's other rooms carry on.
+  function guarded(room, fn) {
+    try {
+      fn();
+    } catch (e) {
+      console.error(`Room ${room.code} failed: ${e.stack || e.message}`);
+      removeRoom(room);
+      post({ type: 'failed', code: room.code });
+    }
+  }
+
+  function handle(msg) {
+    if (msg.type === 'create') {
+      createRoom(msg.code, msg.opts);
+      return;
+    }
+    const room = rooms.get(msg.code);
+    if (room) guarded(room, () => handleRoom(room, msg));
+  }
+
+  function handleRoom(room, msg) {
+    const state = room.gameState;
+
+    switch (msg.type) {
+      case 'start':
+        if (!room.interval) startRoomLoop(room);
+        break;
+
+      // on: the viewer starts over from a keyframe; off: stops getting snapshots
+      case 'viewer':
+        if (msg.on) room.viewers.set(msg.key, { seat: msg.seat, lastSnapshot: null, snapshotOf: null, ackSeq: 0 });
+        else room.viewers.delete(msg.key);
+        room.spectators = [...room.viewers].filter(([, v]) => !v.seat).map(([key]) => key);
+        break;
+
+      case 'pause':
+        room.paused = msg.paused;
+        break;
+
+      case 'input': {
+        const { input, role, seat } = msg;
+        // Acknowledged even if it's ignored, or the client would keep predicting it
+        const viewer = room.viewers.get(seat);
+        if (viewer && input.seq !== undefined) viewer.ackSeq = input.seq;
+        if (msg.dropped || !state || room.paused) return;
+        room.recording.inputs.push({
+          t: state.timer, role, action: input.action, dx: input.dx, dy: input.dy, gadget: input.gadget, answer: input.answer,
+        });
+        applyInput(state, role, input);
+        reportStatus(room);
+        break;
+      }
+
+      case 'upgrade': {
+        if (!state || !state.gameWon) return;
+        const upgradeRole = msg.upgradeRole;
+        if (upgradeRole !== 'thief' && upgradeRole !== 'drone') return;
+
+        // Anything else (an unknown id, say) just asks for the shop's stock
+        const offer = shopOffers(state, upgradeRole).find(o => o.id === msg.upgradeId);
+        if (!offer || offer.maxed || room.totalScore + state.score < offer.cost) {
+          sendUpgradeState(room);
+          return;
+        }
+        wonLevelResult(room);
+
+        room.totalScore -= offer.cost; // Deduct from banked score
+        if (room.totalScore < 0) {
+          // Need to take from current level score
+          state.score += room.totalScore;
+          room.totalScore = 0;
+        }
+        buyUpgrade(state, upgradeRole, offer.id);
+        saveCampaign(room);
+
+        // Broadcast available upgrades
+        sendUpgradeState(room);
+        break;
+      }
+
+      case 'replay':
+        if (!room.recording || !(state.gameWon || state.gameOver)) return;
+        post({
+          type: 'send', code: room.code,
+          messages: [[msg.key, JSON.stringify({ type: 'replay', recording: finishRecording(room) })]],
+        });
+        break;
+
+      case 'nextLevel': {
+        if (!state || !state.gameWon) return;
+        room.levelResults.push(wonLevelResult(room));
+        room.totalScore += state.score;
+        room.level++;
+        // A hand-authored level is a one-off heist
+        if (room.level > room.rules.maxLevels || room.levelFile) {
+          removeRoom(room);
+          post({
+            type: 'complete', code: room.code, totalScore: room.totalScore,
+            run: { team: room.team, seed: room.seed, levelName: room.levelFileName, rules: room.rules, levels: room.levelResults },
+          });
+          return;
+        }
+        startLevel(room, state);
+        break;
+      }
+
+      case 'retry':
+        if (!state || !state.gameOver) return;
+        room.level = room.levelFile ? room.levelFile.level : 1;
+        room.totalScore = 0;
+        room.levelResults = [];
+        startLevel(room, null);
+        break;
+
+      case 'remove':
+        removeRoom(room);
+        break;
+    }
+  }
+
+  // Tick times since the last call, for the main thread's stats. roomTickMs: room code -> average
+  function takeStats() {
+    const { ticks, totalMs, maxMs } = tickWindow;
+    tickWindow = { ticks: 0, totalMs: 0, maxMs: 0 };
+    const roomTickMs = {};
+    for (const room of rooms.values()) {
+      roomTickMs[room.code] = average(room.tickWindow);
+      room.tickWindow = { ticks: 0, totalMs: 0 };
+    }
+    return {
+      rooms: rooms.size, ticks,
+      avgTickMs: average({ ticks, totalMs }),
+      maxTickMs: Math.round(maxMs * 100) / 100,
+      roomTickMs,
+    };
+  }
+
+  return { handle, takeStats, rooms };
+}
+
+module.exports = { TICK_MS, TICK_BUDGET_MS, createRoomHost };
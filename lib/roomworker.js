@@ -0,0 +1,18 @@
+// ============================================================
+// HEIST — Room worker
+// A worker thread that runs the rooms the router gives it (see
+// lib/rooms.js) and reports its tick times every STATS_MS.
+// ============================================================
+const { parentPort, workerData } = require('worker_threads');
+const { createCampaignStore } = require('./campaigns');
+const { createRoomHost } = require('./rooms');
+
+const STATS_MS = 1000;
+
+const host = createRoomHost({
+  post: (msg) => parentPort.postMessage(msg),
+  campaigns: createCampaignStore(workerData.campaignsDir),
+});
+
+parentPort.on('message', host.handle);
+setInterval(() => parentPort.postMessage({ type: 'stats', ...host.takeStats() }), STATS_MS);
@@ -0,0 +1,106 @@
+// ============================================================
+// HEIST — Room router
+// Spreads rooms over a pool of worker threads, so the simulation and
+// snapshot work of a busy room doesn't hold up the sockets or any room
+// on another worker. Each room code lives on one worker; send() passes
+// a message to it, and whatever rooms send back goes to onMessage.
+// ============================================================
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'roomworker.js');
+// A dead worker is replaced after RESPAWN_MS, doubling for each crash in a row up
+// to RESPAWN_MAX_MS, so one that dies on startup doesn't spin. A worker that stays
+// up for STABLE_MS clears its crash count.
+const RESPAWN_MS = 500;
+const RESPAWN_MAX_MS = 30000;
+const STABLE_MS = 60000;
+
+// size: worker count. workerData: passed to each worker (see roomworker.js).
+// onMessage(msg): every room message. onLost(codes): rooms that went down with a worker.
+// file: the worker script, swapped out by tests.
+function createRoomRouter({ size, workerData, onMessage, onLost, file = WORKER_FILE }) {
+  const slots = [];
+  const homes = new Map(); // room code -> slot
+  let closing = false;
+
+  // crashes: in a row before this one; restarts: since the router started
+  function spawn(i, crashes = 0, restarts = 0) {
+    const slot = {
+      worker: new Worker(file, { workerData }), rooms: new Set(), stats: null,
+      alive: true, startedAt: Date.now(), crashes, restarts, respawn: null,
+    };
+    slot.worker.on('message', (msg) => {
+      if (msg.type === 'stats') slot.stats = msg;
+      else onMessage(msg);
+    });
+    slot.worker.on('error', (e) => console.error(`Room worker ${i} failed: ${e.stack || e.message}`));
+    // A worker that dies takes its rooms with it; a new one takes its place
+    slot.worker.on('exit', () => {
+      slot.alive = false;
+      if (closing) return;
+      const lost = [...slot.rooms];
+      for (const code of lost) homes.delete(code);
+      slot.rooms.clear();
+      const inARow = Date.now() - slot.startedAt >= STABLE_MS ? 0 : slot.crashes + 1;
+      const delay = inARow ? Math.min(RESPAWN_MAX_MS, RESPAWN_MS * 2 ** (inARow - 1)) : 0;
+      if (inARow) console.error(`Room worker ${i} has crashed ${inARow} time(s) in a row; restarting in ${delay}ms`);
+      slot.respawn = setTimeout(() => { slots[i] = spawn(i, inARow, slot.restarts + 1); }, delay);
+      if (lost.length) onLost(lost);
+    });
+    return slot;
+  }
+
+  for (let i = 0; i < size; i++) slots.push(spawn(i));
+
+  // Puts a new room on the running worker with the fewest. False while none is running.
+  function assign(code) {
+    const live = slots.filter(slot => slot.alive);
+    if (!live.length) return false;
+    const slot = live.reduce((a, b) => (b.rooms.size < a.rooms.size ? b : a));
+    slot.rooms.add(code);
+    homes.set(code, slot);
+    return true;
+  }
+
+  function send(code, msg) {
+    const slot = homes.get(code);
+    if (slot) slot.worker.postMessage({ ...msg, code });
+  }
+
+  // Stops the room on its worker, or forgets one its worker already ended
+  function remove(code) {
+    send(code, { type: 'remove' });
+    const slot = homes.get(code);
+    if (slot) slot.rooms.delete(code);
+    homes.delete(code);
+  }
+
+  // Per worker: whether it's running, restarts, rooms, and ticks and tick times over the last second
+  function stats() {
+    return slots.map(slot => ({
+      alive: slot.alive,
+      restarts: slot.restarts,
+      rooms: slot.rooms.size,
+      ticks: slot.stats ? slot.stats.ticks : 0,
+      avgTickMs: slot.stats ? slot.stats.avgTickMs : 0,
+      maxTickMs: slot.stats ? slot.stats.maxTickMs : 0,
+    }));
+  }
+
+  // The room's average tick over its worker's last second
+  function roomTickMs(code) {
+    const slot = homes.get(code);
+    return (slot && slot.stats && slot.stats.roomTickMs[code]) || 0;
+  }
+
+  function close() {
+    closing = true;
+    for (const slot of slots) clearTimeout(slot.respawn);
+    return Promise.all(slots.map(slot => slot.worker.terminate()));
+  }
+
+  return { assign, send, remove, stats, roomTickMs, close };
+}
+
+module.exports = { createRoomRouter };
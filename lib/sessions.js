@@ -0,0 +1,45 @@
+// ============================================================
+// HEIST — Session tokens
+// A player gets a signed token when they host or join, and needs it
+// to take their seat back after a dropped connection. A token names
+// one player id, and every reconnect seats a new id with a new token,
+// so a token stops working as soon as it has been used.
+// ============================================================
+const crypto = require('crypto');
+
+const MAX_TOKEN_LENGTH = 512;
+
+// Without a configured secret, tokens are good until the process restarts,
+// which is as long as any room lives anyway
+function createSessionSigner(secret = crypto.randomBytes(32)) {
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+
+  // { code, role, id } -> token
+  function issue({ code, role, id }) {
+    const body = Buffer.from(JSON.stringify({ code, role, id })).toString('base64url');
+    return `${body}.${sign(body)}`;
+  }
+
+  // The { code, role, id } a token was issued for; null if it's malformed or forged
+  function verify(token) {
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) return null;
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+    const [body, mac] = parts;
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(mac);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (!session || typeof session.code !== 'string' || typeof session.role !== 'string' || typeof session.id !== 'string') return null;
+    return session;
+  }
+
+  return { issue, verify };
+}
+
+module.exports = { createSessionSigner };
@@ -0,0 +1,132 @@
+// ============================================================
+// HEIST — Message validation
+// Every socket message is checked against its type's schema before
+// the server acts on it, and moves are held to a rate per role. A
+// message that fails is dropped and counted against the socket as a
+// strike; the server logs strikes and can kick after enough of them.
+// ============================================================
+const { INPUT_ACTIONS, isStep } = require('../game/input');
+
+const MAX_ANSWER = 64;
+const MAX_RULE_FIELDS = 40;
+// A move per this many ms, held key or not. A little under the client's
+// repeat delays, so a player tapping keys quickly doesn't hit them.
+// sprint, crouch and drag are the thief's other paces.
+const MOVE_INTERVAL_MS = { thief: 120, sprint: 60, crouch: 200, drag: 200, drone: 120 };
+const MOVE_BURST = 3;
+const MESSAGE_RATE = 30; // per second, after a burst of MESSAGE_BURST
+const MESSAGE_BURST = 60;
+
+const text = (max) => (v) => typeof v === 'string' && v.length <= max;
+const oneOf = (values) => (v) => values.includes(v);
+const axis = (v) => Number.isInteger(v) && Math.abs(v) <= 1;
+const seq = (v) => Number.isSafeInteger(v) && v >= 0;
+const answer = (v) => Array.isArray(v) && v.length <= MAX_ANSWER && v.every(Number.isInteger);
+// A preset id, or { preset, ...numbers } for custom rules (resolveRules checks the ranges)
+const rules = (v) => text(40)(v) || (v !== null && typeof v === 'object' && !Array.isArray(v) &&
+  Object.keys(v).length <= MAX_RULE_FIELDS &&
+  Object.entries(v).every(([k, x]) => (k === 'preset' ? text(40)(x) : typeof x === 'number')));
+
+// type -> { field: [check, required] }. Fields not listed are ignored.
+const HOST = { seed: [text(40)], levelName: [text(64)], team: [text(64)], rules: [rules] };
+const MESSAGE_SCHEMAS = {
+  host: HOST,
+  hostLocal: HOST,
+  resume: { campaign: [text(32), true] },
+  join: { code: [text(8), true] },
+  spectate: { code: [text(8), true] },
+  reconnect: { token: [text(512), true] },
+  input: {
+    action: [oneOf(INPUT_ACTIONS), true], role: [oneOf(['thief', 'drone'])],
+    dx: [axis], dy: [axis], gadget: [text(40)], answer: [answer], seq: [seq],
+  },
+  chat: { text: [text(1000)] },
+  upgrade: { upgradeRole: [text(16), true], upgradeId: [text(40), true] },
+  getReplay: {},
+  nextLevel: {},
+  retry: {},
+};
+
+// What's wrong with a message, or null
+function messageProblem(msg) {
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) return 'not an object';
+  const schema = Object.hasOwn(MESSAGE_SCHEMAS, msg.type) ? MESSAGE_SCHEMAS[msg.type] : null;
+  if (!schema) return `unknown message type ${String(msg.type).slice(0, 20)}`;
+  for (const [field, [check, required]] of Object.entries(schema)) {
+    if (msg[field] === undefined ? required : !check(msg[field])) return `bad ${msg.type}.${field}`;
+  }
+  if (msg.type === 'input' && msg.action === 'move' && !isStep(msg.dx, msg.dy)) return 'move is not one step';
+  return null;
+}
+
+// Refills at one per intervalMs up to burst; take() is false when empty
+function createBucket(intervalMs, burst, now) {
+  let tokens = burst, at = now;
+  return {
+    take(t, interval = intervalMs) {
+      tokens = Math.min(burst, tokens + (t - at) / interval);
+      at = t;
+      if (tokens < 1) return false;
+      tokens--;
+      return true;
+    },
+  };
+}
+
+// A bucket per key (an IP address, say); take(key) is false while the key's is empty.
+// Keys idle long enough to have filled back up are forgotten.
+function createRateLimiter({ intervalMs, burst, now = Date.now }) {
+  const buckets = new Map(); // key -> { bucket, last }
+  function take(key) {
+    const t = now();
+    if (buckets.size > 1000) {
+      for (const [k, b] of buckets) if (t - b.last >= intervalMs * burst) buckets.delete(k);
+    }
+    let entry = buckets.get(key);
+    if (!entry) buckets.set(key, entry = { bucket: createBucket(intervalMs, burst, t), last: t });
+    entry.last = t;
+    return entry.bucket.take(t);
+  }
+  return { take };
+}
+
+// The address to rate limit a request by. Behind Fly's proxy every request
+// comes from the proxy, which puts the client's own address in Fly-Client-IP.
+// Anywhere else that header is the client's to forge, so it's ignored.
+function clientAddress(req, behindFly) {
+  return (behindFly && req.get('fly-client-ip')) || req.ip;
+}
+
+// One per socket. check() and checkMove() return null, or the strike the
+// message earned: { reason, count (of that reason), total, kick }.
+// kickAfter: strikes before kick is set; 0 never kicks.
+function createMessageGuard({ kickAfter = 0, now = Date.now } = {}) {
+  const strikes = {};
+  let total = 0;
+  const messages = createBucket(1000 / MESSAGE_RATE, MESSAGE_BURST, now());
+  const moves = {}; // role -> bucket
+
+  function strike(reason) {
+    strikes[reason] = (strikes[reason] || 0) + 1;
+    total++;
+    return { reason, count: strikes[reason], total, kick: kickAfter > 0 && total >= kickAfter };
+  }
+
+  function check(msg) {
+    if (!messages.take(now())) return strike('message flood');
+    const problem = messageProblem(msg);
+    return problem ? strike(problem) : null;
+  }
+
+  // A move for role, held to its pace. pace: the thief's 'walk', 'sprint', 'crouch' or 'drag'
+  function checkMove(role, pace) {
+    const interval = role === 'thief' && pace !== 'walk' && MOVE_INTERVAL_MS[pace] ? MOVE_INTERVAL_MS[pace] : MOVE_INTERVAL_MS[role];
+    const t = now();
+    if (!moves[role]) moves[role] = createBucket(interval, MOVE_BURST, t);
+    return moves[role].take(t, interval) ? null : strike(`${role} moving too fast`);
+  }
+
+  return { check, checkMove, strikes };
+}
+
+module.exports = { MESSAGE_SCHEMAS, MOVE_INTERVAL_MS, messageProblem, createMessageGuard, createRateLimiter, clientAddress };
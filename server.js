@@ -6,13 +6,35 @@ const express = require('express');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const crypto = require('crypto');
+const {
+  generateSeed, normalizeSeed, levelRng, GADGETS, LOADOUT_SLOTS,
+  generateLevel, validateLevelFile, levelToFile, OBJECTIVE_TEMPLATES,
+  RULE_PRESETS, RULE_LIMITS, DEFAULT_PRESET, resolveRules,
+} = require('./game');
+const { createCampaignStore } = require('./lib/campaigns');
+const { normalizeTeamName, createLeaderboard } = require('./lib/leaderboard');
+const { createSessionSigner } = require('./lib/sessions');
+const { createMessageGuard, createRateLimiter, clientAddress } = require('./lib/validation');
+const { createRoomRouter } = require('./lib/router');
+const { createAdminAuth } = require('./lib/admin');
+const { formatMetrics } = require('./lib/metrics');
+const { createReplayRunner } = require('./lib/replays');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.HEIST_DATA_DIR || path.join(__dirname, 'data');
+// Strikes for bad or too-fast messages before a socket is kicked; 0 only logs them
+const KICK_AFTER = Number(process.env.HEIST_KICK_AFTER) || 0;
+// Room worker threads; by default one per core, leaving one for the sockets
+const WORKERS = Number(process.env.HEIST_WORKERS) || Math.max(1, Math.min(8, os.cpus().length - 1));
+// Fly sets FLY_APP_NAME on its machines, which sit behind its proxy
+const BEHIND_FLY = Boolean(process.env.FLY_APP_NAME);
 
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -35,1121 +57,533 @@ function generatePlayerId() {
   return crypto.randomBytes(8).toString('hex');
 }
 
-// ============================================================
-// BONUS OBJECTIVES
-// ============================================================
-const OBJECTIVE_TEMPLATES = [
-  { id: 'speed_demon', desc: 'Complete in under 90 seconds', check: (s) => s.timer < 90000 },
-  { id: 'ghost', desc: 'Never trigger an alarm', check: (s) => !s.alertTriggered },
-  { id: 'hacker', desc: 'Hack 3+ systems', check: (s) => s.drone.hacks >= 3 },
-  { id: 'collector', desc: 'Collect all bonus loot', check: (s) => s.loot.filter(l => !l.primary).every(l => l.collected) },
-  { id: 'efficient', desc: 'Use 50% or less battery', check: (s) => s.drone.battery >= 50 },
-  { id: 'untouchable', desc: 'Take no damage', check: (s) => s.thief.hp === s.thief.maxHp },
-  { id: 'locksmith', desc: 'Pick 2+ locks', check: (s) => s.thief.locksPicked >= 2 },
-  { id: 'freeze_master', desc: 'Freeze 3+ guards', check: (s) => s.guardsHacked >= 3 },
-];
-
-function pickObjectives(count) {
-  const shuffled = [...OBJECTIVE_TEMPLATES].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, count).map(o => ({ ...o, completed: false }));
+// The seats in room.players a connection's role sits in: local co-op holds both
+function seatsOf(role) {
+  return role === 'local' ? ['thief', 'drone'] : [role];
 }
 
-// ============================================================
-// UPGRADE DEFINITIONS
-// ============================================================
-const THIEF_UPGRADES = [
-  { id: 'hp_up', name: '+1 Max HP', desc: 'Increases max HP by 1', cost: 1000, apply: (s) => { s.thief.maxHp++; s.thief.hp = s.thief.maxHp; } },
-  { id: 'vision_up', name: 'Extended Vision', desc: 'Vision radius +1', cost: 800, apply: (s) => { s.thief.visionRadius = (s.thief.visionRadius || 4) + 1; } },
-  { id: 'fast_pick', name: 'Fast Lockpick', desc: 'Lock picking 1s faster', cost: 600, apply: (s) => { s.thief.pickSpeed = (s.thief.pickSpeed || 3000) - 1000; } },
-  { id: 'extra_noise', name: '+1 Noise Maker', desc: 'Extra noise maker charge', cost: 500, apply: (s) => { s.thief.noiseCharges = (s.thief.noiseCharges || 2) + 1; } },
-  { id: 'extra_smoke', name: '+1 Smoke Bomb', desc: 'Extra smoke bomb charge', cost: 700, apply: (s) => { s.thief.smokeCharges = (s.thief.smokeCharges || 1) + 1; } },
-  { id: 'sprint_up', name: 'Sprint Duration', desc: 'Sprint lasts 1s longer', cost: 600, apply: (s) => { s.thief.sprintDuration = (s.thief.sprintDuration || 2000) + 1000; } },
-];
-
-const DRONE_UPGRADES = [
-  { id: 'battery_up', name: '+25 Battery', desc: 'Increases max battery', cost: 800, apply: (s) => { s.drone.maxBattery += 25; s.drone.battery = s.drone.maxBattery; } },
-  { id: 'fast_charge', name: 'Fast Charge', desc: 'Charging 1s faster', cost: 600, apply: (s) => { s.drone.chargeSpeed = (s.drone.chargeSpeed || 3000) - 500; } },
-  { id: 'long_freeze', name: 'Long Freeze', desc: 'Guards frozen 3s longer', cost: 700, apply: (s) => { s.drone.freezeDuration = (s.drone.freezeDuration || 5000) + 3000; } },
-  { id: 'cheap_hack', name: 'Efficient Hacks', desc: 'Hacks cost 5 less battery', cost: 900, apply: (s) => { s.drone.hackCost = Math.max(10, (s.drone.hackCost || 25) - 5); } },
-  { id: 'extra_emp', name: '+1 EMP', desc: 'Extra EMP charge', cost: 800, apply: (s) => { s.drone.empCharges = (s.drone.empCharges || 1) + 1; } },
-  { id: 'extra_decoy', name: '+1 Decoy', desc: 'Extra decoy charge', cost: 600, apply: (s) => { s.drone.decoyCharges = (s.drone.decoyCharges || 1) + 1; } },
-];
-
-// ============================================================
-// MAP GENERATOR
-// ============================================================
-function generateLevel(level) {
-  const W = 40, H = 30;
-  const map = [];
-  for (let y = 0; y < H; y++) {
-    map[y] = [];
-    for (let x = 0; x < W; x++) map[y][x] = '#';
-  }
-
-  const rooms_ = [];
-  const minRooms = 6 + level;
-  const maxRooms = 8 + level * 2;
-  const targetRooms = minRooms + Math.floor(Math.random() * (maxRooms - minRooms + 1));
-
-  for (let attempt = 0; attempt < 400 && rooms_.length < targetRooms; attempt++) {
-    const rw = 4 + Math.floor(Math.random() * 5);
-    const rh = 3 + Math.floor(Math.random() * 4);
-    const rx = 1 + Math.floor(Math.random() * (W - rw - 2));
-    const ry = 1 + Math.floor(Math.random() * (H - rh - 2));
-    let overlap = false;
-    for (const r of rooms_) {
-      if (rx - 1 < r.x + r.w && rx + rw + 1 > r.x && ry - 1 < r.y + r.h && ry + rh + 1 > r.y) {
-        overlap = true; break;
-      }
-    }
-    if (overlap) continue;
-    rooms_.push({ x: rx, y: ry, w: rw, h: rh });
-    for (let dy = 0; dy < rh; dy++)
-      for (let dx = 0; dx < rw; dx++)
-        map[ry + dy][rx + dx] = '.';
-  }
-
-  // Connect rooms
-  const connected = [0];
-  const unconnected = rooms_.map((_, i) => i).slice(1);
-  while (unconnected.length > 0) {
-    let bestDist = Infinity, bestC = 0, bestU = 0;
-    for (const ci of connected) {
-      for (const ui of unconnected) {
-        const cx = rooms_[ci].x + Math.floor(rooms_[ci].w / 2);
-        const cy = rooms_[ci].y + Math.floor(rooms_[ci].h / 2);
-        const ux = rooms_[ui].x + Math.floor(rooms_[ui].w / 2);
-        const uy = rooms_[ui].y + Math.floor(rooms_[ui].h / 2);
-        const d = Math.abs(cx - ux) + Math.abs(cy - uy);
-        if (d < bestDist) { bestDist = d; bestC = ci; bestU = ui; }
-      }
-    }
-    const r1 = rooms_[bestC], r2 = rooms_[bestU];
-    let x1 = r1.x + Math.floor(r1.w / 2), y1 = r1.y + Math.floor(r1.h / 2);
-    let x2 = r2.x + Math.floor(r2.w / 2), y2 = r2.y + Math.floor(r2.h / 2);
-    let cx = x1, cy = y1;
-    while (cx !== x2) { if (map[cy][cx] === '#') map[cy][cx] = '.'; cx += cx < x2 ? 1 : -1; }
-    while (cy !== y2) { if (map[cy][cx] === '#') map[cy][cx] = '.'; cy += cy < y2 ? 1 : -1; }
-    connected.push(bestU);
-    unconnected.splice(unconnected.indexOf(bestU), 1);
-  }
-
-  // Place doors
-  const doors = [];
-  const eDoorPositions = [];
-  const pDoorPositions = [];
-  for (let y = 1; y < H - 1; y++) {
-    for (let x = 1; x < W - 1; x++) {
-      if (map[y][x] !== '.') continue;
-      const hWall = map[y][x-1] === '#' && map[y][x+1] === '#' && map[y-1][x] === '.' && map[y+1][x] === '.';
-      const vWall = map[y-1][x] === '#' && map[y+1][x] === '#' && map[y][x-1] === '.' && map[y][x+1] === '.';
-      if ((hWall || vWall) && Math.random() < 0.35) {
-        if (Math.random() < 0.5) eDoorPositions.push({ x, y });
-        else pDoorPositions.push({ x, y });
-      }
-    }
-  }
-  const maxEDoors = 3 + level;
-  const maxPDoors = 2 + level;
-  const eDoors = eDoorPositions.sort(() => Math.random() - 0.5).slice(0, maxEDoors);
-  const pDoors = pDoorPositions.sort(() => Math.random() - 0.5).slice(0, maxPDoors);
-  eDoors.forEach(d => { map[d.y][d.x] = 'D'; doors.push({ x: d.x, y: d.y, type: 'electronic', open: false }); });
-  pDoors.forEach(d => { map[d.y][d.x] = 'L'; doors.push({ x: d.x, y: d.y, type: 'physical', open: false }); });
-
-  function getFloorTiles() {
-    const tiles = [];
-    for (let y = 0; y < H; y++)
-      for (let x = 0; x < W; x++)
-        if (map[y][x] === '.') tiles.push({ x, y });
-    return tiles;
-  }
-  function pickAndRemove(tiles) {
-    const idx = Math.floor(Math.random() * tiles.length);
-    return tiles.splice(idx, 1)[0];
-  }
-  function tileInRoom(tile, room) {
-    return tile.x >= room.x && tile.x < room.x + room.w && tile.y >= room.y && tile.y < room.y + room.h;
-  }
-
-  const floors = getFloorTiles();
-
-  // Thief in first room
-  const thiefRoom = rooms_[0];
-  let thiefPos = null;
-  for (let i = floors.length - 1; i >= 0; i--) {
-    if (tileInRoom(floors[i], thiefRoom)) { thiefPos = floors.splice(i, 1)[0]; break; }
-  }
-  if (!thiefPos) thiefPos = pickAndRemove(floors);
-
-  // Exit in last room
-  const exitRoom = rooms_[rooms_.length - 1];
-  let exitPos = null;
-  for (let i = floors.length - 1; i >= 0; i--) {
-    if (tileInRoom(floors[i], exitRoom)) { exitPos = floors.splice(i, 1)[0]; break; }
-  }
-  if (!exitPos) exitPos = pickAndRemove(floors);
-  map[exitPos.y][exitPos.x] = '>';
-
-  // Loot
-  const loot = [];
-  for (let i = 0; i < 3; i++) {
-    const p = pickAndRemove(floors);
-    if (p) { map[p.y][p.x] = '*'; loot.push({ x: p.x, y: p.y, primary: true, collected: false }); }
-  }
-  const bonusCount = 1 + Math.floor(Math.random() * 2);
-  for (let i = 0; i < bonusCount; i++) {
-    const p = pickAndRemove(floors);
-    if (p) { map[p.y][p.x] = '$'; loot.push({ x: p.x, y: p.y, primary: false, collected: false }); }
-  }
-
-  // Charging pads
-  const chargingPads = [];
-  for (let i = 0; i < 2; i++) {
-    const p = pickAndRemove(floors);
-    if (p) { map[p.y][p.x] = '^'; chargingPads.push({ x: p.x, y: p.y }); }
-  }
-
-  // Alarm panels — more on higher levels
-  const alarmPanels = [];
-  const panelCount = 1 + Math.floor(level / 2);
-  for (let i = 0; i < panelCount; i++) {
-    const ap = pickAndRemove(floors);
-    if (ap) { map[ap.y][ap.x] = 'A'; alarmPanels.push({ x: ap.x, y: ap.y }); }
-  }
-
-  // Cameras
-  const cameras = [];
-  const camCount = 2 + level;
-  for (let i = 0; i < camCount; i++) {
-    const p = pickAndRemove(floors);
-    if (p) { map[p.y][p.x] = 'C'; cameras.push({ x: p.x, y: p.y, active: true, dir: Math.floor(Math.random() * 4) }); }
-  }
-
-  // Laser grids — appear from level 2+
-  const lasers = [];
-  if (level >= 2) {
-    const laserCount = 1 + level;
-    for (let i = 0; i < laserCount; i++) {
-      const p = pickAndRemove(floors);
-      if (p) {
-        map[p.y][p.x] = 'Z';
-        // Determine orientation: horizontal or vertical based on neighbors
-        const horizontal = map[p.y][p.x - 1] === '#' || map[p.y][p.x + 1] === '#';
-        lasers.push({
-          x: p.x, y: p.y,
-          active: true,
-          period: 3000 + Math.floor(Math.random() * 2000), // 3-5 second cycle
-          timer: Math.floor(Math.random() * 3000), // random start offset
-          horizontal,
-        });
-      }
-    }
-  }
-
-  // Tripwires — appear from level 2+
-  const tripwires = [];
-  if (level >= 2) {
-    const tripCount = Math.min(level, 3);
-    for (let i = 0; i < tripCount; i++) {
-      const p = pickAndRemove(floors);
-      if (p) {
-        map[p.y][p.x] = 'T';
-        tripwires.push({ x: p.x, y: p.y, triggered: false });
-      }
-    }
-  }
-
-  // Safes — appear from level 3+ (require both players to open)
-  const safes = [];
-  if (level >= 3) {
-    const safeCount = Math.min(level - 1, 3);
-    for (let i = 0; i < safeCount; i++) {
-      const p = pickAndRemove(floors);
-      if (p) {
-        map[p.y][p.x] = 'S';
-        safes.push({ x: p.x, y: p.y, open: false, lootValue: 1500 });
-      }
-    }
-  }
-
-  // Guards with alert levels
-  const guards = [];
-  const guardCount = 3 + Math.min(level, 3);
-  for (let i = 0; i < guardCount; i++) {
-    const roomIdx = (i + 1) % rooms_.length;
-    const room = rooms_[roomIdx];
-    const route = [];
-    const gx = room.x + 1 + Math.floor(Math.random() * Math.max(1, room.w - 2));
-    const gy = room.y + 1 + Math.floor(Math.random() * Math.max(1, room.h - 2));
-    route.push({ x: gx, y: gy });
-    const waypointCount = 2 + Math.floor(Math.random() * 3);
-    for (let w = 0; w < waypointCount; w++) {
-      const wx = room.x + 1 + Math.floor(Math.random() * Math.max(1, room.w - 2));
-      const wy = room.y + 1 + Math.floor(Math.random() * Math.max(1, room.h - 2));
-      route.push({ x: wx, y: wy });
-    }
-    guards.push({
-      x: gx, y: gy, route, routeIdx: 0, dir: 0,
-      frozen: false, frozenTimer: 0,
-      speed: Math.max(250, 500 - level * 50), moveTimer: 0,
-      alertLevel: 0, // 0=patrol, 1=suspicious, 2=alert
-      alertTimer: 0,
-      lastKnownThief: null,
-      investigateTarget: null,
-    });
-  }
-
-  return {
-    width: W, height: H, map, rooms: rooms_, doors, loot, chargingPads, alarmPanels,
-    cameras, guards, thiefStart: thiefPos, exitPos, lasers, tripwires, safes,
-  };
+function holdsSeats(room, role, playerId) {
+  return seatsOf(role).every(seat => room.players[seat] && room.players[seat].id === playerId);
 }
 
-// ============================================================
-// GAME STATE FACTORY
-// ============================================================
-function createGameState(level, prevState) {
-  const ld = generateLevel(level);
-  const state = {
-    level,
-    map: ld.map,
-    mapWidth: ld.width,
-    mapHeight: ld.height,
-    thief: {
-      x: ld.thiefStart.x, y: ld.thiefStart.y,
-      hp: prevState ? prevState.thief.maxHp : 3,
-      maxHp: prevState ? prevState.thief.maxHp : 3,
-      loot: 0, totalLoot: 0,
-      picking: false, pickTimer: 0, pickTarget: null,
-      pickSpeed: prevState ? (prevState.thief.pickSpeed || 3000) : 3000,
-      spotted: false, invulnTimer: 0, action: 'Idle',
-      visionRadius: prevState ? (prevState.thief.visionRadius || 4) : 4,
-      // Abilities
-      sprinting: false, sprintTimer: 0,
-      sprintDuration: prevState ? (prevState.thief.sprintDuration || 2000) : 2000,
-      sprintCooldown: 0, sprintCooldownMax: 10000,
-      noiseCharges: prevState ? (prevState.thief.noiseCharges || 2) : 2,
-      smokeCharges: prevState ? (prevState.thief.smokeCharges || 1) : 1,
-      locksPicked: 0,
-    },
-    drone: {
-      x: Math.floor(ld.width / 2), y: Math.floor(ld.height / 2),
-      battery: prevState ? prevState.drone.maxBattery : 100,
-      maxBattery: prevState ? prevState.drone.maxBattery : 100,
-      hacks: 0,
-      charging: false, chargeTimer: 0,
-      chargeSpeed: prevState ? (prevState.drone.chargeSpeed || 3000) : 3000,
-      freezeDuration: prevState ? (prevState.drone.freezeDuration || 5000) : 5000,
-      hackCost: prevState ? (prevState.drone.hackCost || 25) : 25,
-      // Abilities
-      empCharges: prevState ? (prevState.drone.empCharges || 1) : 1,
-      decoyCharges: prevState ? (prevState.drone.decoyCharges || 1) : 1,
-      ping: null, // {x, y, timer}
-    },
-    guards: ld.guards,
-    doors: ld.doors,
-    loot: ld.loot,
-    cameras: ld.cameras,
-    chargingPads: ld.chargingPads,
-    alarmPanels: ld.alarmPanels,
-    lasers: ld.lasers,
-    tripwires: ld.tripwires,
-    safes: ld.safes,
-    exitPos: ld.exitPos,
-    alarmActive: false,
-    alarmTimer: 0,
-    primaryLootTotal: ld.loot.filter(l => l.primary).length,
-    primaryLootCollected: 0,
-    bonusLootCollected: 0,
-    exitOpen: false,
-    gameOver: false,
-    gameWon: false,
-    timer: 0,
-    score: 0,
-    alertTriggered: false,
-    guardsHacked: 0,
-    // Active effects
-    noisemakers: [], // {x, y, timer}
-    smokeClouds: [], // {x, y, timer}
-    decoys: [], // {x, y, timer}
-    // Bonus objectives
-    objectives: pickObjectives(2),
-    // Screen shake events
-    shakeEvents: [],
-    // Sound events queue
-    sounds: [],
+// The main thread's side of a room: who's in it. The game itself runs on a room worker.
+// opts: { local, seed, team, rules, custom: { file, name }, campaign?: saved record to pick up from }
+// Returns null while no room worker is running to take the room.
+function createRoom(ws, playerId, opts) {
+  const code = generateRoomCode();
+  if (!router.assign(code)) return null;
+  const self = { ws, id: playerId, connected: true };
+  const saved = opts.campaign;
+  const room = {
+    code,
+    players: opts.local ? { thief: self, drone: { ...self } } : { thief: self },
+    spectators: [],
+    isLocal: !!opts.local,
+    campaign: saved ? saved.code : campaigns.newCode(),
+    seed: opts.seed,
+    rules: opts.rules,
+    started: false,
+    paused: false,
+    // from the worker
+    status: { level: saved ? saved.level : opts.custom.file ? opts.custom.file.level : 1, pace: 'walk', outcome: null },
+    bytes: 0, // sent to the room's sockets; sampled each second for bytesPerSec
+    sampledBytes: 0,
+    bytesPerSec: 0,
   };
-  return state;
-}
-
-// ============================================================
-// SERVER-SIDE GAME LOGIC
-// ============================================================
-function isWalkable(state, x, y) {
-  if (x < 0 || x >= state.mapWidth || y < 0 || y >= state.mapHeight) return false;
-  const tile = state.map[y][x];
-  if (tile === '#') return false;
-  if (tile === 'S') {
-    const safe = state.safes.find(s => s.x === x && s.y === y);
-    if (safe && !safe.open) return false;
-  }
-  if (tile === 'D' || tile === 'L') {
-    const door = state.doors.find(d => d.x === x && d.y === y);
-    if (door && !door.open) return false;
-  }
-  return true;
-}
-
-function isBlockedForVision(state, x, y) {
-  if (x < 0 || x >= state.mapWidth || y < 0 || y >= state.mapHeight) return true;
-  const tile = state.map[y][x];
-  if (tile === '#') return true;
-  if (tile === 'D' || tile === 'L') {
-    const door = state.doors.find(d => d.x === x && d.y === y);
-    if (door && !door.open) return true;
-  }
-  // Smoke blocks vision
-  if (state.smokeClouds.some(s => Math.abs(s.x - x) <= 1 && Math.abs(s.y - y) <= 1)) return true;
-  return false;
+  rooms.set(code, room);
+  router.send(code, {
+    type: 'create',
+    opts: {
+      seed: room.seed,
+      rules: room.rules,
+      levelFile: opts.custom.file,
+      levelFileName: opts.custom.file ? opts.custom.name : null,
+      level: room.status.level,
+      totalScore: saved ? saved.totalScore : 0,
+      carry: saved ? saved.carry : null, // stats and gadgets the first level starts with
+      campaign: room.campaign,
+      team: saved ? saved.team || null : normalizeTeamName(opts.team),
+      levelResults: saved ? saved.levelResults || [] : [], // for the leaderboard
+      isLocal: room.isLocal,
+    },
+  });
+  setViewer(room, 'thief', true);
+  return room;
 }
 
-function moveThief(state, dx, dy) {
-  if (state.gameOver || state.gameWon || state.thief.picking) return;
-  const nx = state.thief.x + dx;
-  const ny = state.thief.y + dy;
-  if (!isWalkable(state, nx, ny)) return;
-
-  // Laser grid check
-  const laser = state.lasers.find(l => l.x === nx && l.y === ny && l.active);
-  if (laser) {
-    if (state.thief.invulnTimer <= 0) {
-      state.thief.hp--;
-      state.thief.invulnTimer = 1500;
-      state.sounds.push('hit');
-      state.shakeEvents.push({ intensity: 3, duration: 300 });
-      if (state.thief.hp <= 0) {
-        state.gameOver = true;
-        state.sounds.push('gameOver');
-        state.shakeEvents.push({ intensity: 8, duration: 500 });
-        return;
-      }
-    }
-  }
-
-  state.thief.x = nx;
-  state.thief.y = ny;
-  state.sounds.push('move');
-
-  // Tripwire check
-  const tripwire = state.tripwires.find(t => t.x === nx && t.y === ny && !t.triggered);
-  if (tripwire) {
-    tripwire.triggered = true;
-    state.map[ny][nx] = '.';
-    if (!state.alarmActive) {
-      state.alarmActive = true;
-      state.alarmTimer = 10000;
-      state.thief.spotted = true;
-      state.thief.action = 'TRIPWIRE!';
-      state.alertTriggered = true;
-      state.sounds.push('alarm');
-      state.shakeEvents.push({ intensity: 4, duration: 400 });
-    }
-  }
-
-  // Loot pickup
-  const lootItem = state.loot.find(l => l.x === nx && l.y === ny && !l.collected);
-  if (lootItem) {
-    lootItem.collected = true;
-    state.thief.loot++;
-    state.thief.totalLoot++;
-    if (lootItem.primary) state.primaryLootCollected++;
-    else state.bonusLootCollected++;
-    state.map[ny][nx] = '.';
-    state.sounds.push('loot');
-    if (state.primaryLootCollected >= state.primaryLootTotal) {
-      state.exitOpen = true;
-      state.sounds.push('doorOpen');
-    }
-  }
-
-  // Safe interaction (thief must be adjacent, drone cursor on safe)
-  for (const safe of state.safes) {
-    if (safe.open) continue;
-    const adjacent = Math.abs(nx - safe.x) + Math.abs(ny - safe.y) === 1;
-    const droneOn = state.drone.x === safe.x && state.drone.y === safe.y;
-    if (adjacent && droneOn) {
-      safe.open = true;
-      state.map[safe.y][safe.x] = '.';
-      state.score += safe.lootValue;
-      state.sounds.push('loot');
-      state.sounds.push('hack');
-    }
-  }
-
-  // Exit check
-  if (state.map[ny][nx] === '>' && state.exitOpen) {
-    state.gameWon = true;
-    state.score += state.primaryLootCollected * 1000;
-    state.score += state.bonusLootCollected * 500;
-    state.score += Math.max(0, 3000 - Math.floor(state.timer / 1000) * 10);
-    if (!state.alertTriggered) state.score += 2000;
-    // Bonus objectives
-    for (const obj of state.objectives) {
-      if (obj.check(state)) {
-        obj.completed = true;
-        state.score += 1000;
-      }
-    }
-    state.sounds.push('victory');
-  }
+function startRoomLoop(room) {
+  router.send(room.code, { type: 'start' });
+  room.started = true;
 }
 
-function startPickLock(state) {
-  if (state.gameOver || state.gameWon || state.thief.picking) return;
-  const dirs = [{x:0,y:-1},{x:1,y:0},{x:0,y:1},{x:-1,y:0}];
-  for (const d of dirs) {
-    const tx = state.thief.x + d.x;
-    const ty = state.thief.y + d.y;
-    const door = state.doors.find(dr => dr.x === tx && dr.y === ty && dr.type === 'physical' && !dr.open);
-    if (door) {
-      state.thief.picking = true;
-      state.thief.pickTimer = state.thief.pickSpeed;
-      state.thief.pickTarget = { x: door.x, y: door.y };
-      state.thief.action = 'Picking lock...';
-      state.sounds.push('lock');
-      return;
-    }
-  }
+function deleteRoom(room) {
+  router.remove(room.code);
+  rooms.delete(room.code);
 }
 
-function stopPickLock(state) {
-  if (state.thief.picking) {
-    state.thief.picking = false;
-    state.thief.pickTimer = 0;
-    state.thief.pickTarget = null;
-    state.thief.action = 'Idle';
-  }
+function setPaused(room, paused) {
+  room.paused = paused;
+  router.send(room.code, { type: 'pause', paused });
 }
 
-function updatePickLock(state, dt) {
-  if (!state.thief.picking) return;
-  state.thief.pickTimer -= dt;
-  if (state.thief.pickTimer <= 0) {
-    const door = state.doors.find(d => d.x === state.thief.pickTarget.x && d.y === state.thief.pickTarget.y);
-    if (door) {
-      door.open = true;
-      state.map[door.y][door.x] = '.';
-      state.thief.locksPicked++;
-    }
-    state.thief.picking = false;
-    state.thief.pickTarget = null;
-    state.thief.action = 'Idle';
-    state.sounds.push('doorOpen');
+// Every open socket in the room — players and spectators, each socket once
+function roomSockets(room) {
+  const sockets = new Set();
+  for (const p of [...Object.values(room.players), ...room.spectators]) {
+    if (p && p.ws && p.ws.readyState === 1) sockets.add(p.ws);
   }
+  return sockets;
 }
 
-// Thief abilities
-function thiefSprint(state) {
-  if (state.gameOver || state.gameWon) return;
-  if (state.thief.sprinting || state.thief.sprintCooldown > 0) return;
-  state.thief.sprinting = true;
-  state.thief.sprintTimer = state.thief.sprintDuration;
-  state.thief.action = 'SPRINTING';
-  state.sounds.push('sprint');
+// Sends data to one of the room's sockets, counting the bytes for the admin page
+function sendTo(room, sock, data) {
+  try { sock.send(data); } catch(e) { return; }
+  const bytes = Buffer.byteLength(data);
+  room.bytes += bytes;
+  traffic.bytes += bytes;
 }
 
-function thiefThrowNoise(state, dx, dy) {
-  if (state.gameOver || state.gameWon) return;
-  if (state.thief.noiseCharges <= 0) return;
-  // Throw noise maker 3-5 tiles in direction
-  let nx = state.thief.x, ny = state.thief.y;
-  for (let i = 0; i < 5; i++) {
-    const tx = nx + dx, ty = ny + dy;
-    if (tx < 0 || tx >= state.mapWidth || ty < 0 || ty >= state.mapHeight) break;
-    if (state.map[ty][tx] === '#') break;
-    nx = tx; ny = ty;
-  }
-  state.thief.noiseCharges--;
-  state.noisemakers.push({ x: nx, y: ny, timer: 5000 });
-  state.sounds.push('noise');
+function sendToRoom(room, obj) {
+  const msg = typeof obj === 'string' ? obj : JSON.stringify(obj);
+  for (const sock of roomSockets(room)) sendTo(room, sock, msg);
 }
 
-function thiefSmokeBomb(state) {
-  if (state.gameOver || state.gameWon) return;
-  if (state.thief.smokeCharges <= 0) return;
-  state.thief.smokeCharges--;
-  state.smokeClouds.push({ x: state.thief.x, y: state.thief.y, timer: 5000 });
-  state.sounds.push('smoke');
-  state.shakeEvents.push({ intensity: 2, duration: 200 });
+// Ends the room for everyone in it. Its campaign stays saved, so the team can resume it;
+// only the seated players are told the code, or a spectator could take the campaign over.
+function closeRoom(room, reason) {
+  const seated = new Set(Object.values(room.players).filter(p => p && p.ws && p.ws.readyState === 1).map(p => p.ws));
+  const toTeam = JSON.stringify({ type: 'sessionEnded', message: `${reason}. Resume it from the lobby with campaign code ${room.campaign}` });
+  const toSpectators = JSON.stringify({ type: 'sessionEnded', message: `${reason}.` });
+  for (const sock of roomSockets(room)) sendTo(room, sock, seated.has(sock) ? toTeam : toSpectators);
+  deleteRoom(room);
 }
 
-// Drone abilities
-function droneHack(state) {
-  if (state.gameOver || state.gameWon || state.drone.battery <= 0) return;
-  const dx = state.drone.x, dy = state.drone.y;
-  const hackCost = state.drone.hackCost;
-
-  const door = state.doors.find(d => d.x === dx && d.y === dy && d.type === 'electronic' && !d.open);
-  if (door) {
-    door.open = true;
-    state.map[dy][dx] = '.';
-    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
-    state.drone.hacks++;
-    state.sounds.push('hack');
-    state.sounds.push('doorOpen');
-    return;
-  }
-
-  const cam = state.cameras.find(c => c.x === dx && c.y === dy && c.active);
-  if (cam) {
-    cam.active = false;
-    state.map[dy][dx] = '.';
-    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
-    state.drone.hacks++;
-    state.sounds.push('hack');
-    return;
-  }
-
-  const guard = state.guards.find(g => g.x === dx && g.y === dy && !g.frozen);
-  if (guard) {
-    guard.frozen = true;
-    guard.frozenTimer = state.drone.freezeDuration;
-    guard.alertLevel = 0;
-    guard.alertTimer = 0;
-    guard.lastKnownThief = null;
-    guard.investigateTarget = null;
-    state.drone.battery = Math.max(0, state.drone.battery - hackCost);
-    state.drone.hacks++;
-    state.guardsHacked++;
-    state.sounds.push('hack');
-    return;
-  }
+// ============================================================
+// ROOM WORKERS — each room's game runs on one, see lib/rooms.js
+// ============================================================
+const sessions = createSessionSigner(process.env.HEIST_SESSION_SECRET);
+// Campaigns are saved by the room workers, and loaded and removed here
+const CAMPAIGNS_DIR = path.join(DATA_DIR, 'campaigns');
+const campaigns = createCampaignStore(CAMPAIGNS_DIR);
+
+const router = createRoomRouter({
+  size: WORKERS,
+  workerData: { campaignsDir: CAMPAIGNS_DIR },
+  onMessage: fromRoomWorker,
+  onLost: (codes) => {
+    for (const code of codes) {
+      const room = rooms.get(code);
+      if (!room) continue;
+      console.error(`Room ${code} was lost with its worker`);
+      closeRoom(room, 'The server lost this game');
+    }
+  },
+});
 
-  if (state.alarmActive) {
-    const panel = state.alarmPanels.find(a => a.x === dx && a.y === dy);
-    if (panel) {
-      state.alarmActive = false;
-      state.alarmTimer = 0;
-      state.thief.spotted = false;
-      state.drone.battery = Math.max(0, state.drone.battery - hackCost);
-      state.drone.hacks++;
-      state.sounds.push('hack');
-      return;
+function fromRoomWorker(msg) {
+  const room = rooms.get(msg.code);
+  if (!room) return;
+  switch (msg.type) {
+    case 'send':
+      for (const [key, data] of msg.messages) {
+        const sock = viewerSocket(room, key);
+        if (sock && sock.readyState === 1) sendTo(room, sock, data);
+      }
+      break;
+    case 'broadcast':
+      sendToRoom(room, msg.data);
+      break;
+    case 'failed':
+      console.error(`Room ${room.code} was closed after an error`);
+      closeRoom(room, 'The server hit an error in this game');
+      break;
+    case 'status':
+      if (msg.status.outcome && msg.status.outcome !== room.status.outcome) outcomes[msg.status.outcome]++;
+      room.status = msg.status;
+      break;
+    case 'complete': {
+      const rank = recordRun(room, msg.run);
+      sendToRoom(room, { type: 'gameComplete', totalScore: msg.totalScore, levels: msg.run.levels.length, team: msg.run.team, rank });
+      campaigns.remove(room.campaign);
+      rooms.delete(room.code);
+      router.remove(room.code);
+      break;
     }
   }
 }
 
-function droneEMP(state) {
-  if (state.gameOver || state.gameWon) return;
-  if (state.drone.empCharges <= 0) return;
-  state.drone.empCharges--;
-  const range = 5;
-  let disabled = 0;
-  for (const cam of state.cameras) {
-    if (!cam.active) continue;
-    const dist = Math.abs(cam.x - state.drone.x) + Math.abs(cam.y - state.drone.y);
-    if (dist <= range) {
-      cam.active = false;
-      state.map[cam.y][cam.x] = '.';
-      disabled++;
-    }
-  }
-  // Also freeze nearby guards
-  for (const guard of state.guards) {
-    if (guard.frozen) continue;
-    const dist = Math.abs(guard.x - state.drone.x) + Math.abs(guard.y - state.drone.y);
-    if (dist <= 3) {
-      guard.frozen = true;
-      guard.frozenTimer = 3000;
-      guard.alertLevel = 0;
-    }
+// ============================================================
+// LEADERBOARD — finished runs
+// ============================================================
+const leaderboard = createLeaderboard(path.join(DATA_DIR, 'leaderboard.jsonl'));
+
+// Returns the run's overall rank, or null if it couldn't be saved
+function recordRun(room, { team, seed, levelName, rules, levels }) {
+  try {
+    const run = leaderboard.record({ team: team || 'Anonymous Crew', seed, levelName, rules, levels });
+    return leaderboard.query({ levelName: run.levelName, rules: run.rulesKey }).find(r => r.id === run.id).rank;
+  } catch (e) {
+    console.error(`Room ${room.code} run could not be recorded: ${e.message}`);
+    return null;
   }
-  state.sounds.push('emp');
-  state.shakeEvents.push({ intensity: 5, duration: 400 });
 }
 
-function droneDecoy(state) {
-  if (state.gameOver || state.gameWon) return;
-  if (state.drone.decoyCharges <= 0) return;
-  state.drone.decoyCharges--;
-  state.decoys.push({ x: state.drone.x, y: state.drone.y, timer: 6000 });
-  state.sounds.push('decoy');
+// ============================================================
+// LEVEL FILES — hand-authored heists in levels/<name>.json
+// ============================================================
+const LEVELS_DIR = path.join(__dirname, 'levels');
+const LEVEL_NAME_RE = /^[a-z0-9_-]{1,40}$/i;
+
+// { file } for a playable level, { error } otherwise
+function loadLevelFile(name) {
+  if (typeof name !== 'string' || !LEVEL_NAME_RE.test(name)) return { error: 'Invalid level name' };
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, `${name}.json`), 'utf8'));
+  } catch (e) {
+    return { error: `Level "${name}" not found` };
+  }
+  const errors = validateLevelFile(file);
+  if (errors.length) return { error: `Level "${name}" is invalid: ${errors[0]}` };
+  return { file };
 }
 
-function dronePing(state, x, y) {
-  if (state.gameOver || state.gameWon) return;
-  state.drone.ping = { x, y, timer: 5000 };
-  state.sounds.push('ping');
+function listLevelFiles() {
+  let names = [];
+  try { names = fs.readdirSync(LEVELS_DIR); } catch (e) { return []; }
+  return names
+    .filter(n => n.endsWith('.json'))
+    .map(n => n.slice(0, -5))
+    .filter(n => LEVEL_NAME_RE.test(n))
+    .sort()
+    .flatMap(name => {
+      const { file } = loadLevelFile(name);
+      if (!file) return [];
+      const floors = file.floorWidth ? file.map[0].length / file.floorWidth : 1;
+      return [{ name, title: file.name, level: file.level, floors }];
+    });
 }
 
-function updateDroneCharge(state, dt) {
-  const pad = state.chargingPads.find(p => p.x === state.drone.x && p.y === state.drone.y);
-  if (pad && state.drone.battery < state.drone.maxBattery) {
-    state.drone.charging = true;
-    state.drone.chargeTimer += dt;
-    if (state.drone.chargeTimer >= state.drone.chargeSpeed) {
-      state.drone.battery = Math.min(state.drone.maxBattery, state.drone.battery + 25);
-      state.drone.chargeTimer = 0;
-      state.sounds.push('charge');
-    }
-  } else {
-    state.drone.charging = false;
-    state.drone.chargeTimer = 0;
-  }
+// ============================================================
+// VIEWERS — who the room worker sends snapshots for
+// ============================================================
+// A seat's key is the seat (local co-op views from 'thief'); a spectator's is their id
+function viewerKey(role, playerId) {
+  return role === 'spectator' ? playerId : seatsOf(role)[0];
 }
 
-function updateLasers(state, dt) {
-  for (const laser of state.lasers) {
-    laser.timer += dt;
-    if (laser.timer >= laser.period) {
-      laser.timer = 0;
-      laser.active = !laser.active;
-      if (laser.active) state.sounds.push('laser');
-    }
-    // Damage thief if standing on active laser
-    if (laser.active && laser.x === state.thief.x && laser.y === state.thief.y && state.thief.invulnTimer <= 0) {
-      state.thief.hp--;
-      state.thief.invulnTimer = 1500;
-      state.sounds.push('hit');
-      state.shakeEvents.push({ intensity: 3, duration: 300 });
-      if (state.thief.hp <= 0) {
-        state.gameOver = true;
-        state.sounds.push('gameOver');
-        state.shakeEvents.push({ intensity: 8, duration: 500 });
-      }
-    }
-  }
+function viewerSocket(room, key) {
+  const p = room.players[key] || room.spectators.find(sp => sp.id === key);
+  return p && p.ws;
 }
 
-function updateEffects(state, dt) {
-  // Noisemakers
-  for (let i = state.noisemakers.length - 1; i >= 0; i--) {
-    state.noisemakers[i].timer -= dt;
-    if (state.noisemakers[i].timer <= 0) {
-      state.noisemakers.splice(i, 1);
-    }
-  }
-
-  // Smoke clouds
-  for (let i = state.smokeClouds.length - 1; i >= 0; i--) {
-    state.smokeClouds[i].timer -= dt;
-    if (state.smokeClouds[i].timer <= 0) {
-      state.smokeClouds.splice(i, 1);
-    }
-  }
-
-  // Decoys
-  for (let i = state.decoys.length - 1; i >= 0; i--) {
-    state.decoys[i].timer -= dt;
-    if (state.decoys[i].timer <= 0) {
-      state.decoys.splice(i, 1);
-    }
-  }
-
-  // Drone ping
-  if (state.drone.ping) {
-    state.drone.ping.timer -= dt;
-    if (state.drone.ping.timer <= 0) state.drone.ping = null;
-  }
-
-  // Sprint
-  if (state.thief.sprinting) {
-    state.thief.sprintTimer -= dt;
-    if (state.thief.sprintTimer <= 0) {
-      state.thief.sprinting = false;
-      state.thief.sprintCooldown = state.thief.sprintCooldownMax;
-      state.thief.action = 'Idle';
-    }
-  }
-  if (state.thief.sprintCooldown > 0) {
-    state.thief.sprintCooldown -= dt;
-  }
+// on: (re)start the viewer's snapshots from a keyframe; off: stop them
+function setViewer(room, key, on) {
+  router.send(room.code, { type: 'viewer', key, on, seat: !!room.players[key] });
 }
 
-function updateGuards(state, dt) {
-  for (const guard of state.guards) {
-    if (guard.frozen) {
-      guard.frozenTimer -= dt;
-      if (guard.frozenTimer <= 0) { guard.frozen = false; guard.frozenTimer = 0; }
-      continue;
-    }
-    guard.moveTimer += dt;
-
-    // Determine effective speed based on alert level
-    let effectiveSpeed = guard.speed;
-    if (guard.alertLevel === 1) effectiveSpeed = Math.max(200, guard.speed * 0.8); // suspicious - slightly faster
-    if (guard.alertLevel === 2) effectiveSpeed = Math.max(150, guard.speed * 0.5); // alert - much faster
-
-    if (guard.moveTimer < effectiveSpeed) continue;
-    guard.moveTimer = 0;
-
-    // Check for noisemakers — guards investigate noise
-    let attracted = false;
-    for (const noise of state.noisemakers) {
-      const dist = Math.abs(noise.x - guard.x) + Math.abs(noise.y - guard.y);
-      if (dist <= 8) {
-        guard.investigateTarget = { x: noise.x, y: noise.y };
-        guard.alertLevel = 1;
-        guard.alertTimer = 8000;
-        attracted = true;
-        break;
-      }
-    }
-
-    // Check for decoys — guards chase decoys like they're the thief
-    if (!attracted) {
-      for (const decoy of state.decoys) {
-        const dist = Math.abs(decoy.x - guard.x) + Math.abs(decoy.y - guard.y);
-        if (dist <= 6) {
-          guard.investigateTarget = { x: decoy.x, y: decoy.y };
-          guard.alertLevel = 2;
-          guard.alertTimer = 6000;
-          attracted = true;
-          break;
-        }
-      }
-    }
+// ============================================================
+// HTTP API
+// ============================================================
+// Uploaded replays are simulated off the main thread, one at a time,
+// and each address gets REPLAY_BURST of them and then one per REPLAY_INTERVAL_MS
+const REPLAY_INTERVAL_MS = 10000;
+const REPLAY_BURST = 3;
+const replays = createReplayRunner();
+const replayLimit = createRateLimiter({ intervalMs: REPLAY_INTERVAL_MS, burst: REPLAY_BURST });
+
+app.post('/api/replay', (req, res, next) => {
+  if (replayLimit.take(clientAddress(req, BEHIND_FLY))) return next();
+  res.status(429).json({ error: 'Too many replays, try again in a few seconds' });
+}, express.text({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  if (typeof req.body !== 'string') return res.status(400).json({ error: 'Send the replay as JSON' });
+  const { json, error, status } = await replays.run(req.body);
+  if (error) return res.status(status).json({ error });
+  res.type('json').send(json);
+});
 
-    let target;
-    if (guard.alertLevel === 2 && guard.lastKnownThief) {
-      // Alert: chase last known thief position
-      target = guard.lastKnownThief;
-    } else if (guard.investigateTarget) {
-      target = guard.investigateTarget;
-    } else {
-      target = guard.route[guard.routeIdx];
-    }
+// Presets for the lobby, and the range each rule can be overridden within
+app.get('/api/rules', (req, res) => {
+  const presets = Object.keys(RULE_PRESETS).map(id => resolveRules(id));
+  res.json({ presets, defaultPreset: DEFAULT_PRESET, limits: RULE_LIMITS });
+});
 
-    let moved = false;
-    if (guard.x !== target.x || guard.y !== target.y) {
-      let gdx = 0, gdy = 0;
-      if (Math.abs(target.x - guard.x) > Math.abs(target.y - guard.y)) gdx = target.x > guard.x ? 1 : -1;
-      else gdy = target.y > guard.y ? 1 : -1;
-      const nx = guard.x + gdx, ny = guard.y + gdy;
-      if (isWalkable(state, nx, ny)) {
-        guard.x = nx; guard.y = ny;
-        if (gdx === 1) guard.dir = 1;
-        else if (gdx === -1) guard.dir = 3;
-        else if (gdy === -1) guard.dir = 0;
-        else if (gdy === 1) guard.dir = 2;
-        moved = true;
-      }
-    }
+// Gadget names and targeting for the loadout screen and the HUD
+app.get('/api/gadgets', (req, res) => {
+  res.json({ gadgets: GADGETS.map(g => ({ ...g, use: undefined })), slots: LOADOUT_SLOTS });
+});
 
-    // Patrol waypoint cycling
-    if (guard.alertLevel === 0) {
-      if (!moved || (guard.x === target.x && guard.y === target.y)) {
-        guard.routeIdx = (guard.routeIdx + 1) % guard.route.length;
-      }
-    }
+// ?seed=&level=&levelName=&rules=&ghost=1&sort=score|time&limit=
+app.get('/api/leaderboard', (req, res) => {
+  const level = parseInt(req.query.level, 10);
+  const limit = parseInt(req.query.limit, 10);
+  res.json({
+    runs: leaderboard.query({
+      seed: normalizeSeed(req.query.seed),
+      rules: /^[a-z0-9-]{1,40}$/.test(req.query.rules || '') ? req.query.rules : null,
+      level: level >= 1 && level <= 5 ? level : null,
+      levelName: LEVEL_NAME_RE.test(req.query.levelName || '') ? req.query.levelName : null,
+      ghost: req.query.ghost === '1' || req.query.ghost === 'true',
+      sort: req.query.sort === 'time' ? 'time' : 'score',
+      limit: limit >= 1 && limit <= 100 ? limit : 20,
+    }),
+  });
+});
 
-    // If investigating and reached target, calm down
-    if (guard.investigateTarget && guard.x === guard.investigateTarget.x && guard.y === guard.investigateTarget.y) {
-      guard.investigateTarget = null;
-    }
-    if (guard.alertLevel === 2 && guard.lastKnownThief && guard.x === guard.lastKnownThief.x && guard.y === guard.lastKnownThief.y) {
-      guard.lastKnownThief = null;
-    }
+// Objective ids are listed for the editor's checkboxes
+app.get('/api/levels', (req, res) => {
+  res.json({
+    levels: listLevelFiles(),
+    objectives: OBJECTIVE_TEMPLATES.map(o => ({ id: o.id, desc: o.desc })),
+  });
+});
 
-    // Alert timer decay
-    if (guard.alertLevel > 0) {
-      guard.alertTimer -= dt;
-      if (guard.alertTimer <= 0) {
-        guard.alertLevel = 0;
-        guard.alertTimer = 0;
-        guard.lastKnownThief = null;
-        guard.investigateTarget = null;
-      }
-    }
+// A generated level as a level file — a starting point for the editor
+app.get('/api/levels/generate', (req, res) => {
+  const seed = normalizeSeed(req.query.seed) || generateSeed();
+  const level = Math.min(5, Math.max(1, parseInt(req.query.level, 10) || 1));
+  res.json(levelToFile(generateLevel(level, levelRng(seed, level)), `Seed ${seed} level ${level}`, level));
+});
 
-    // Vision check
-    if (!guard.frozen) {
-      const dirVecs = [{x:0,y:-1},{x:1,y:0},{x:0,y:1},{x:-1,y:0}];
-      const dv = dirVecs[guard.dir];
-      const visionRange = guard.alertLevel >= 1 ? 5 : 3; // Alerted guards see further
-      let canSeeThief = false;
-      for (let i = 1; i <= visionRange; i++) {
-        const vx = guard.x + dv.x * i, vy = guard.y + dv.y * i;
-        if (isBlockedForVision(state, vx, vy)) break;
-        if (vx === state.thief.x && vy === state.thief.y) { canSeeThief = true; break; }
-      }
-      // Side peripheral vision (1 tile to each side of facing, only 1 tile deep)
-      if (!canSeeThief && guard.alertLevel >= 1) {
-        const perps = dv.x === 0 ? [{x:1,y:0},{x:-1,y:0}] : [{x:0,y:1},{x:0,y:-1}];
-        for (const p of perps) {
-          const vx = guard.x + p.x, vy = guard.y + p.y;
-          if (vx === state.thief.x && vy === state.thief.y && !isBlockedForVision(state, vx, vy)) {
-            canSeeThief = true; break;
-          }
-        }
-      }
-      // Direct collision
-      if (guard.x === state.thief.x && guard.y === state.thief.y) canSeeThief = true;
-
-      // Nearby check for suspicious behavior (can "hear" thief within 2 tiles for suspicion)
-      const thiefDist = Math.abs(guard.x - state.thief.x) + Math.abs(guard.y - state.thief.y);
-      if (!canSeeThief && thiefDist <= 2 && guard.alertLevel === 0 && state.thief.sprinting) {
-        // Sprinting is noisy — makes guards suspicious
-        guard.alertLevel = 1;
-        guard.alertTimer = 5000;
-        guard.investigateTarget = { x: state.thief.x, y: state.thief.y };
-      }
+app.post('/api/levels/validate', express.json({ limit: '1mb' }), (req, res) => {
+  const errors = validateLevelFile(req.body);
+  res.json({ ok: errors.length === 0, errors });
+});
 
-      if (canSeeThief) {
-        guard.alertLevel = 2;
-        guard.alertTimer = 10000;
-        guard.lastKnownThief = { x: state.thief.x, y: state.thief.y };
-
-        if (!state.alarmActive) {
-          state.alarmActive = true;
-          state.alarmTimer = 10000;
-          state.thief.spotted = true;
-          state.thief.action = 'SPOTTED!';
-          state.alertTriggered = true;
-          state.sounds.push('alarm');
-          state.shakeEvents.push({ intensity: 4, duration: 400 });
-        }
-      }
+// Tick times per room worker, to spot a busy one
+app.get('/api/stats', (req, res) => {
+  res.json({ rooms: rooms.size, workers: router.stats() });
+});
 
-      if (guard.x === state.thief.x && guard.y === state.thief.y && state.thief.invulnTimer <= 0) {
-        state.thief.hp--;
-        state.thief.invulnTimer = 1500;
-        state.sounds.push('hit');
-        state.shakeEvents.push({ intensity: 5, duration: 300 });
-        if (state.thief.hp <= 0) {
-          state.gameOver = true;
-          state.sounds.push('gameOver');
-          state.shakeEvents.push({ intensity: 8, duration: 500 });
-        }
-      }
-    }
-  }
+app.get('/api/levels/:name', (req, res) => {
+  const { file, error } = loadLevelFile(req.params.name);
+  if (!file) return res.status(404).json({ error });
+  res.json(file);
+});
 
-  // Camera checks — cameras rotate
-  for (const cam of state.cameras) {
-    if (!cam.active) continue;
-    // Cameras slowly rotate
-    cam.rotTimer = (cam.rotTimer || 0) + dt;
-    if (cam.rotTimer >= 4000) {
-      cam.rotTimer = 0;
-      cam.dir = (cam.dir + 1) % 4;
-    }
-    // Camera vision cone (3 tiles in facing direction, 1 tile wide expanding)
-    const dirVecs = [{x:0,y:-1},{x:1,y:0},{x:0,y:1},{x:-1,y:0}];
-    const dv = dirVecs[cam.dir];
-    let detected = false;
-    for (let i = 1; i <= 3; i++) {
-      const vx = cam.x + dv.x * i, vy = cam.y + dv.y * i;
-      if (isBlockedForVision(state, vx, vy)) break;
-      if (vx === state.thief.x && vy === state.thief.y) { detected = true; break; }
-    }
-    if (detected && !state.alarmActive) {
-      state.alarmActive = true;
-      state.alarmTimer = 10000;
-      state.thief.spotted = true;
-      state.thief.action = 'SPOTTED!';
-      state.alertTriggered = true;
-      state.sounds.push('alarm');
-      state.shakeEvents.push({ intensity: 4, duration: 400 });
-    }
-  }
+// ============================================================
+// ADMIN — dashboard, /metrics and moderation, behind lib/admin.js
+// ============================================================
+const adminAuth = createAdminAuth(process.env.HEIST_ADMIN_PASSWORD);
+const ADMIN_PAGE = path.join(__dirname, 'admin', 'index.html');
+const MAX_SERVER_MESSAGE = 300;
+// Bytes sent to room sockets: in total, and over the last second
+const traffic = { bytes: 0, bytesPerSec: 0, sampled: 0 };
+// Levels won and lost since the server started
+const outcomes = { won: 0, lost: 0 };
+
+setInterval(() => {
+  for (const room of rooms.values()) {
+    room.bytesPerSec = room.bytes - room.sampledBytes;
+    room.sampledBytes = room.bytes;
+  }
+  traffic.bytesPerSec = traffic.bytes - traffic.sampled;
+  traffic.sampled = traffic.bytes;
+}, 1000);
+
+// What the admin page and /metrics show
+function adminState() {
+  const workers = router.stats();
+  const ticks = workers.reduce((n, w) => n + w.ticks, 0);
+  return {
+    rooms: [...rooms.values()].map(room => ({
+      code: room.code,
+      campaign: room.campaign,
+      local: room.isLocal,
+      rules: room.rules.name,
+      // Sockets, so local co-op's one player counts once
+      players: new Set(Object.values(room.players).filter(p => p && p.connected).map(p => p.ws)).size,
+      spectators: room.spectators.length,
+      level: room.status.level,
+      started: room.started,
+      paused: room.paused,
+      tickMs: router.roomTickMs(room.code),
+      bytesPerSec: room.bytesPerSec,
+    })),
+    workers,
+    connections: wss.clients.size,
+    avgTickMs: ticks ? Math.round(workers.reduce((n, w) => n + w.avgTickMs * w.ticks, 0) / ticks * 100) / 100 : 0,
+    bytesSent: traffic.bytes,
+    bytesPerSec: traffic.bytesPerSec,
+    levelsWon: outcomes.won,
+    levelsLost: outcomes.lost,
+  };
 }
 
-function updateAlarm(state, dt) {
-  if (!state.alarmActive) {
-    if (state.thief.spotted) { state.thief.spotted = false; state.thief.action = state.thief.sprinting ? 'SPRINTING' : 'Idle'; }
-    return;
-  }
-  state.alarmTimer -= dt;
-  if (state.alarmTimer <= 0) {
-    state.thief.hp--;
-    state.sounds.push('hit');
-    state.shakeEvents.push({ intensity: 5, duration: 300 });
-    state.alarmActive = false;
-    state.alarmTimer = 0;
-    if (state.thief.hp <= 0) {
-      state.gameOver = true;
-      state.sounds.push('gameOver');
-      state.shakeEvents.push({ intensity: 8, duration: 500 });
-    } else {
-      state.thief.spotted = false;
-      state.thief.action = 'Idle';
-    }
-  }
+function metricsText(state) {
+  const perRoom = (field) => state.rooms.map(r => ({ labels: { room: r.code }, value: r[field] }));
+  const perWorker = (field) => state.workers.map((w, i) => ({ labels: { worker: i }, value: w[field] }));
+  const one = (value) => [{ value }];
+  return formatMetrics([
+    { name: 'heist_rooms', help: 'Active rooms', type: 'gauge', samples: one(state.rooms.length) },
+    { name: 'heist_connections', help: 'Open sockets', type: 'gauge', samples: one(state.connections) },
+    { name: 'heist_room_players', help: 'Connected players in the room', type: 'gauge', samples: perRoom('players') },
+    { name: 'heist_room_spectators', help: 'Spectators in the room', type: 'gauge', samples: perRoom('spectators') },
+    { name: 'heist_room_level', help: 'Level the room is on', type: 'gauge', samples: perRoom('level') },
+    { name: 'heist_room_paused', help: '1 while the room waits for a player to reconnect', type: 'gauge', samples: perRoom('paused') },
+    { name: 'heist_room_tick_ms', help: 'Average tick duration in the room over the last second', type: 'gauge', samples: perRoom('tickMs') },
+    { name: 'heist_room_bytes_per_second', help: 'Bytes sent to the room over the last second', type: 'gauge', samples: perRoom('bytesPerSec') },
+    { name: 'heist_worker_rooms', help: 'Rooms on the room worker', type: 'gauge', samples: perWorker('rooms') },
+    { name: 'heist_worker_restarts_total', help: 'Times the room worker was replaced after a crash', type: 'counter', samples: perWorker('restarts') },
+    { name: 'heist_worker_tick_ms', help: 'Average tick duration on the room worker over the last second', type: 'gauge', samples: perWorker('avgTickMs') },
+    { name: 'heist_tick_ms', help: 'Average tick duration over the last second', type: 'gauge', samples: one(state.avgTickMs) },
+    { name: 'heist_bytes_sent_total', help: 'Bytes sent to room sockets', type: 'counter', samples: one(state.bytesSent) },
+    { name: 'heist_bytes_per_second', help: 'Bytes sent to room sockets over the last second', type: 'gauge', samples: one(state.bytesPerSec) },
+    { name: 'heist_levels_won_total', help: 'Levels won', type: 'counter', samples: one(state.levelsWon) },
+    { name: 'heist_levels_lost_total', help: 'Levels lost', type: 'counter', samples: one(state.levelsLost) },
+  ]);
 }
 
-function updateInvuln(state, dt) {
-  if (state.thief.invulnTimer > 0) state.thief.invulnTimer -= dt;
-}
+app.get('/admin', adminAuth, (req, res) => res.sendFile(ADMIN_PAGE));
 
-// ============================================================
-// ROOM GAME LOOP
-// ============================================================
-function tickRoom(room, dt) {
-  const state = room.gameState;
-  if (!state || state.gameOver || state.gameWon || room.paused) return;
-
-  state.timer += dt;
-  updatePickLock(state, dt);
-  updateGuards(state, dt);
-  updateAlarm(state, dt);
-  updateDroneCharge(state, dt);
-  updateInvuln(state, dt);
-  updateLasers(state, dt);
-  updateEffects(state, dt);
-
-  // Periodic alarm sound
-  if (state.alarmActive && Math.floor(state.timer / 500) % 2 === 0 && Math.floor((state.timer - dt) / 500) % 2 !== 0) {
-    state.sounds.push('alarm');
-  }
-}
+app.get('/admin/api/state', adminAuth, (req, res) => res.json(adminState()));
 
-function broadcastState(room) {
-  const state = room.gameState;
-  if (!state) return;
-
-  const guardsBroadcast = state.guards.map(g => ({
-    x: g.x, y: g.y, dir: g.dir, frozen: g.frozen, frozenTimer: g.frozenTimer,
-    alertLevel: g.alertLevel,
-  }));
-
-  const payload = {
-    type: 'state',
-    level: state.level,
-    map: state.map,
-    mapWidth: state.mapWidth,
-    mapHeight: state.mapHeight,
-    thief: {
-      x: state.thief.x, y: state.thief.y,
-      hp: state.thief.hp, maxHp: state.thief.maxHp,
-      loot: state.thief.loot, totalLoot: state.thief.totalLoot,
-      picking: state.thief.picking, pickTimer: state.thief.pickTimer,
-      pickSpeed: state.thief.pickSpeed,
-      spotted: state.thief.spotted, invulnTimer: state.thief.invulnTimer,
-      action: state.thief.action,
-      visionRadius: state.thief.visionRadius,
-      sprinting: state.thief.sprinting, sprintTimer: state.thief.sprintTimer,
-      sprintCooldown: state.thief.sprintCooldown, sprintCooldownMax: state.thief.sprintCooldownMax,
-      sprintDuration: state.thief.sprintDuration,
-      noiseCharges: state.thief.noiseCharges,
-      smokeCharges: state.thief.smokeCharges,
-    },
-    drone: {
-      x: state.drone.x, y: state.drone.y,
-      battery: state.drone.battery, maxBattery: state.drone.maxBattery,
-      hacks: state.drone.hacks, charging: state.drone.charging,
-      chargeTimer: state.drone.chargeTimer, chargeSpeed: state.drone.chargeSpeed,
-      hackCost: state.drone.hackCost,
-      empCharges: state.drone.empCharges,
-      decoyCharges: state.drone.decoyCharges,
-      ping: state.drone.ping,
-    },
-    guards: guardsBroadcast,
-    doors: state.doors,
-    loot: state.loot,
-    cameras: state.cameras.map(c => ({ x: c.x, y: c.y, active: c.active, dir: c.dir })),
-    chargingPads: state.chargingPads,
-    alarmPanels: state.alarmPanels,
-    lasers: state.lasers.map(l => ({ x: l.x, y: l.y, active: l.active, period: l.period, timer: l.timer })),
-    tripwires: state.tripwires,
-    safes: state.safes,
-    exitPos: state.exitPos,
-    alarmActive: state.alarmActive,
-    alarmTimer: state.alarmTimer,
-    primaryLootTotal: state.primaryLootTotal,
-    primaryLootCollected: state.primaryLootCollected,
-    bonusLootCollected: state.bonusLootCollected,
-    exitOpen: state.exitOpen,
-    gameOver: state.gameOver,
-    gameWon: state.gameWon,
-    timer: state.timer,
-    score: state.score,
-    alertTriggered: state.alertTriggered,
-    noisemakers: state.noisemakers,
-    smokeClouds: state.smokeClouds,
-    decoys: state.decoys,
-    objectives: state.objectives.map(o => ({ id: o.id, desc: o.desc, completed: o.completed })),
-    shakeEvents: state.shakeEvents.slice(),
-    sounds: state.sounds.slice(),
-    paused: room.paused,
-    totalScore: room.totalScore,
-    maxLevels: 5,
-  };
+app.get('/metrics', adminAuth, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metricsText(adminState()));
+});
 
-  // Clear one-shot events
-  state.sounds = [];
-  state.shakeEvents = [];
+app.post('/admin/api/rooms/:code/close', adminAuth, (req, res) => {
+  const room = rooms.get(String(req.params.code).toUpperCase());
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  closeRoom(room, 'An admin closed this game');
+  console.log(`Room ${room.code} closed by an admin`);
+  res.json({ ok: true });
+});
 
-  const msg = JSON.stringify(payload);
-  for (const p of Object.values(room.players)) {
-    if (p && p.ws && p.ws.readyState === 1) {
-      try { p.ws.send(msg); } catch(e) {}
-    }
+// A notice on every connected client, e.g. before a deploy
+app.post('/admin/api/broadcast', adminAuth, express.json({ limit: '4kb' }), (req, res) => {
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  if (!message || message.length > MAX_SERVER_MESSAGE) {
+    return res.status(400).json({ error: `Message must be 1 to ${MAX_SERVER_MESSAGE} characters` });
   }
-}
+  const data = JSON.stringify({ type: 'serverMessage', message });
+  let sent = 0;
+  for (const sock of wss.clients) {
+    if (sock.readyState !== 1) continue;
+    try { sock.send(data); sent++; } catch(e) {}
+  }
+  console.log(`Admin message sent to ${sent} client(s): ${message}`);
+  res.json({ sent });
+});
 
 // ============================================================
 // WEBSOCKET HANDLING
 // ============================================================
+// Spectators can't touch the game, but they can chat
+const SPECTATOR_BLOCKED = ['input', 'upgrade', 'nextLevel', 'retry'];
+// Messages that act for a seat, and are ignored from a socket whose seat was taken back by a reconnect
+const SEAT_MESSAGES = [...SPECTATOR_BLOCKED, 'getReplay', 'chat'];
+
 wss.on('connection', (ws) => {
   let playerId = null;
   let roomCode = null;
   let role = null;
+  const guard = createMessageGuard({ kickAfter: KICK_AFTER });
+  let kicked = false;
+
+  // Logs the first strike of each kind and every 50th after, so a flood doesn't flood the log too
+  function suspicious(strike) {
+    if (strike.count === 1 || strike.count % 50 === 0) {
+      console.warn(`Suspicious message from ${playerId || 'unseated socket'} (room ${roomCode || '-'}, ${role || 'no role'}): ${strike.reason} x${strike.count}, ${strike.total} total`);
+    }
+    if (strike.kick) {
+      kicked = true;
+      console.warn(`Kicked ${playerId || 'unseated socket'} from room ${roomCode || '-'} after ${strike.total} strikes`);
+      ws.send(JSON.stringify({ type: 'sessionEnded', message: 'Disconnected for sending invalid input' }));
+      ws.close();
+    }
+  }
 
   ws.on('message', (raw) => {
+    if (kicked) return;
     let msg;
-    try { msg = JSON.parse(raw); } catch(e) { return; }
+    try { msg = JSON.parse(raw); } catch(e) { msg = null; }
+    const strike = guard.check(msg);
+    if (strike) {
+      suspicious(strike);
+      return;
+    }
+
+    // Spectators are read-only
+    if (role === 'spectator' && SPECTATOR_BLOCKED.includes(msg.type)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Spectators cannot control the game' }));
+      return;
+    }
+    if (role && role !== 'spectator' && SEAT_MESSAGES.includes(msg.type)) {
+      const room = rooms.get(roomCode);
+      if (!room || !holdsSeats(room, role, playerId)) return;
+    }
 
     switch(msg.type) {
-      case 'host': {
-        roomCode = generateRoomCode();
-        playerId = generatePlayerId();
-        role = 'thief';
-        const room = {
-          code: roomCode,
-          players: {
-            thief: { ws, id: playerId, connected: true },
-          },
-          gameState: null,
-          interval: null,
-          paused: false,
-          level: 1,
-          totalScore: 0,
-          purchasedUpgrades: { thief: [], drone: [] },
-        };
-        rooms.set(roomCode, room);
-        ws.send(JSON.stringify({ type: 'hosted', code: roomCode, role: 'thief', playerId }));
-        console.log(`Room ${roomCode} created by ${playerId}`);
-        break;
-      }
+      case 'host':
+      case 'hostLocal':
+      case 'resume': {
+        let campaign = null, custom = { file: null };
+        if (msg.type === 'resume') {
+          campaign = campaigns.load(msg.campaign);
+          if (!campaign) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Campaign not found' }));
+            return;
+          }
+          // A room still running this campaign keeps it, unless everyone has left
+          const live = [...rooms.values()].find(r => r.campaign === campaign.code);
+          if (live && Object.values(live.players).some(p => p && p.connected)) {
+            ws.send(JSON.stringify({ type: 'error', message: 'That campaign is already being played' }));
+            return;
+          }
+          if (live) deleteRoom(live);
+        }
+        const levelName = campaign ? campaign.levelName : msg.levelName;
+        if (levelName) {
+          const loaded = loadLevelFile(levelName);
+          if (!loaded.file) {
+            ws.send(JSON.stringify({ type: 'error', message: loaded.error }));
+            return;
+          }
+          custom = { file: loaded.file, name: levelName };
+        }
+        // Saved campaigns keep the rules they started with
+        let rules = campaign && campaign.rules;
+        if (!rules) {
+          try {
+            rules = resolveRules(campaign ? null : msg.rules);
+          } catch (e) {
+            ws.send(JSON.stringify({ type: 'error', message: e.message }));
+            return;
+          }
+        }
+        if (campaign && campaign.level > (custom.file ? custom.file.level : rules.maxLevels)) {
+          ws.send(JSON.stringify({ type: 'error', message: 'That campaign is already complete' }));
+          return;
+        }
 
-      case 'hostLocal': {
         // Local co-op: one connection controls both roles
-        roomCode = generateRoomCode();
-        playerId = generatePlayerId();
-        role = 'local';
-        const localRoom = {
-          code: roomCode,
-          players: {
-            thief: { ws, id: playerId, connected: true },
-            drone: { ws, id: playerId, connected: true },
-          },
-          gameState: null,
-          interval: null,
-          paused: false,
-          level: 1,
-          totalScore: 0,
-          purchasedUpgrades: { thief: [], drone: [] },
-          isLocal: true,
+        const local = campaign ? campaign.local : msg.type === 'hostLocal';
+        const id = generatePlayerId();
+        const room = createRoom(ws, id, {
+          local, custom, campaign, rules, team: msg.team,
+          seed: campaign ? campaign.seed : normalizeSeed(msg.seed) || generateSeed(),
+        });
+        if (!room) {
+          ws.send(JSON.stringify({ type: 'error', message: 'The server is restarting, try again in a moment' }));
+          return;
+        }
+        playerId = id;
+        role = local ? 'local' : 'thief';
+        roomCode = room.code;
+        const info = {
+          code: roomCode, playerId, token: sessions.issue({ code: roomCode, role, id: playerId }),
+          seed: room.seed, rulesName: room.rules.name,
+          campaign: room.campaign, level: room.status.level, resumed: !!campaign,
         };
-        rooms.set(roomCode, localRoom);
-        localRoom.gameState = createGameState(localRoom.level, null);
-        localRoom.interval = setInterval(() => {
-          tickRoom(localRoom, 100);
-          broadcastState(localRoom);
-        }, 100);
-        ws.send(JSON.stringify({ type: 'localStarted', code: roomCode, playerId }));
-        console.log(`Local co-op room ${roomCode} created`);
+        if (local) {
+          startRoomLoop(room);
+          ws.send(JSON.stringify({ type: 'localStarted', ...info }));
+        } else {
+          ws.send(JSON.stringify({ type: 'hosted', role: 'thief', ...info }));
+        }
+        const what = campaign ? `resumed campaign ${room.campaign} at level ${room.status.level}` : `created campaign ${room.campaign}`;
+        console.log(`${local ? 'Local co-op room' : 'Room'} ${roomCode} ${what} (seed ${room.seed}, ${room.rules.name} rules)`);
         break;
       }
 
@@ -1160,110 +594,105 @@ wss.on('connection', (ws) => {
           ws.send(JSON.stringify({ type: 'error', message: 'Room not found' }));
           return;
         }
-        if (room.players.drone && room.players.drone.connected) {
+        // A seated drone who drops out gets back in with their session token, not by joining again
+        if (room.players.drone) {
           ws.send(JSON.stringify({ type: 'error', message: 'Room is full' }));
           return;
         }
         roomCode = code;
         playerId = generatePlayerId();
         role = 'drone';
+        room.players.drone = { ws, id: playerId, connected: true };
+        setViewer(room, 'drone', true);
 
-        if (room.players.drone) {
-          room.players.drone.ws = ws;
-          room.players.drone.id = playerId;
-          room.players.drone.connected = true;
-        } else {
-          room.players.drone = { ws, id: playerId, connected: true };
-        }
-
-        ws.send(JSON.stringify({ type: 'joined', code: roomCode, role: 'drone', playerId }));
+        ws.send(JSON.stringify({
+          type: 'joined', code: roomCode, role: 'drone', playerId,
+          token: sessions.issue({ code: roomCode, role, id: playerId }), campaign: room.campaign,
+        }));
 
         if (room.players.thief && room.players.thief.ws && room.players.thief.ws.readyState === 1) {
           room.players.thief.ws.send(JSON.stringify({ type: 'partnerJoined' }));
         }
-
-        if (!room.gameState) {
-          room.gameState = createGameState(room.level, null);
-          room.interval = setInterval(() => {
-            tickRoom(room, 100);
-            broadcastState(room);
-          }, 100);
-        } else {
-          room.paused = false;
-          if (room.players.thief && room.players.thief.ws && room.players.thief.ws.readyState === 1) {
-            room.players.thief.ws.send(JSON.stringify({ type: 'partnerReconnected' }));
-          }
-        }
+        startRoomLoop(room);
 
         console.log(`Player ${playerId} joined room ${roomCode} as drone`);
         break;
       }
 
-      case 'reconnect': {
+      case 'spectate': {
         const code = (msg.code || '').toUpperCase().trim();
         const room = rooms.get(code);
         if (!room) {
           ws.send(JSON.stringify({ type: 'error', message: 'Room not found' }));
           return;
         }
-        const rRole = msg.role;
-        if (!rRole || !room.players[rRole]) {
-          ws.send(JSON.stringify({ type: 'error', message: 'Invalid reconnect' }));
+        roomCode = code;
+        playerId = generatePlayerId();
+        role = 'spectator';
+        room.spectators.push({ ws, id: playerId, connected: true });
+        setViewer(room, playerId, true);
+        ws.send(JSON.stringify({ type: 'spectating', code: roomCode, playerId, started: room.started }));
+        sendToRoom(room, { type: 'spectatorCount', count: room.spectators.length });
+        console.log(`Spectator ${playerId} watching room ${roomCode} (${room.spectators.length} watching)`);
+        break;
+      }
+
+      // Takes a seat back with the token issued for it. The seat gets a new player id
+      // and token, which retires the old token, and a socket still sitting in it is sent away.
+      case 'reconnect': {
+        const session = sessions.verify(msg.token);
+        const room = session && rooms.get(session.code);
+        if (!room || !holdsSeats(room, session.role, session.id)) {
+          ws.send(JSON.stringify({ type: 'sessionEnded', message: 'That game session has ended' }));
           return;
         }
-        roomCode = code;
+        roomCode = room.code;
         playerId = generatePlayerId();
-        role = rRole;
-        room.players[rRole].ws = ws;
-        room.players[rRole].id = playerId;
-        room.players[rRole].connected = true;
-        room.paused = false;
+        role = session.role;
+        const stale = new Set();
+        for (const seat of seatsOf(role)) {
+          const player = room.players[seat];
+          if (player.ws !== ws && player.ws.readyState === 1) stale.add(player.ws);
+          player.ws = ws;
+          player.id = playerId;
+          player.connected = true;
+        }
+        setViewer(room, viewerKey(role, playerId), true);
+        for (const old of stale) {
+          old.send(JSON.stringify({ type: 'sessionEnded', message: 'This seat was taken over by another window' }));
+          old.close();
+        }
+        setPaused(room, false);
 
-        ws.send(JSON.stringify({ type: 'reconnected', code: roomCode, role, playerId }));
+        ws.send(JSON.stringify({
+          type: 'reconnected', code: roomCode, role, playerId, token: sessions.issue({ code: roomCode, role, id: playerId }),
+          campaign: room.campaign, started: room.started,
+        }));
 
-        const partnerRole = rRole === 'thief' ? 'drone' : 'thief';
-        if (room.players[partnerRole] && room.players[partnerRole].ws && room.players[partnerRole].ws.readyState === 1) {
+        const partnerRole = role === 'thief' ? 'drone' : 'thief';
+        if (role !== 'local' && room.players[partnerRole] && room.players[partnerRole].ws && room.players[partnerRole].ws.readyState === 1) {
           room.players[partnerRole].ws.send(JSON.stringify({ type: 'partnerReconnected' }));
         }
-        console.log(`Player reconnected to room ${roomCode} as ${rRole}`);
+        console.log(`Player reconnected to room ${roomCode} as ${role}`);
         break;
       }
 
       case 'input': {
         if (!roomCode || !role) return;
         const room = rooms.get(roomCode);
-        if (!room || !room.gameState || room.paused) return;
-        const state = room.gameState;
+        if (!room) return;
 
         // Local co-op: msg.role specifies which role the input is for
         const inputRole = (role === 'local') ? (msg.role || 'thief') : role;
-
-        if (inputRole === 'thief') {
-          switch(msg.action) {
-            case 'move': moveThief(state, msg.dx, msg.dy); break;
-            case 'pickStart': startPickLock(state); break;
-            case 'pickStop': stopPickLock(state); break;
-            case 'sprint': thiefSprint(state); break;
-            case 'throwNoise': thiefThrowNoise(state, msg.dx || 0, msg.dy || -1); break;
-            case 'smoke': thiefSmokeBomb(state); break;
-          }
-        } else if (inputRole === 'drone') {
-          switch(msg.action) {
-            case 'move': {
-              const nx = state.drone.x + msg.dx;
-              const ny = state.drone.y + msg.dy;
-              if (nx >= 0 && nx < state.mapWidth && ny >= 0 && ny < state.mapHeight) {
-                state.drone.x = nx;
-                state.drone.y = ny;
-              }
-              break;
-            }
-            case 'hack': droneHack(state); break;
-            case 'emp': droneEMP(state); break;
-            case 'decoy': droneDecoy(state); break;
-            case 'ping': dronePing(state, state.drone.x, state.drone.y); break;
-          }
+        let dropped = false;
+        if (msg.action === 'move' && room.started && !room.paused) {
+          const strike = guard.checkMove(inputRole, room.status.pace);
+          if (strike) suspicious(strike);
+          dropped = !!strike;
         }
+        // The worker acknowledges msg.seq to the seat's viewer even for a dropped input,
+        // so the client stops predicting it
+        router.send(roomCode, { type: 'input', input: msg, role: inputRole, seat: viewerKey(role, playerId), dropped });
         break;
       }
 
@@ -1273,78 +702,29 @@ wss.on('connection', (ws) => {
         if (!room) return;
         const chatMsg = {
           type: 'chat',
-          from: (role === 'thief' || role === 'local') ? 'THIEF' : 'DRONE',
+          from: role === 'spectator' ? 'SPECTATOR' : (role === 'thief' || role === 'local') ? 'THIEF' : 'DRONE',
           text: (msg.text || '').slice(0, 200),
         };
-        const chatStr = JSON.stringify(chatMsg);
-        for (const p of Object.values(room.players)) {
-          if (p && p.ws && p.ws.readyState === 1) {
-            try { p.ws.send(chatStr); } catch(e) {}
-          }
-        }
+        sendToRoom(room, chatMsg);
         break;
       }
 
       case 'upgrade': {
         if (!roomCode) return;
-        const room = rooms.get(roomCode);
-        if (!room || !room.gameState || !room.gameState.gameWon) return;
-        const upgradeId = msg.upgradeId;
-        const upgradeRole = msg.upgradeRole;
-        if (!upgradeId || !upgradeRole) return;
-
-        // Check if already purchased this upgrade
-        if (room.purchasedUpgrades[upgradeRole].includes(upgradeId)) return;
-
-        const upgList = upgradeRole === 'thief' ? THIEF_UPGRADES : DRONE_UPGRADES;
-        const upgrade = upgList.find(u => u.id === upgradeId);
-        if (!upgrade) return;
-
-        // Check if can afford
-        if (room.totalScore + room.gameState.score < upgrade.cost) return;
-
-        room.totalScore -= upgrade.cost; // Deduct from banked score
-        if (room.totalScore < 0) {
-          // Need to take from current level score
-          room.gameState.score += room.totalScore;
-          room.totalScore = 0;
-        }
-        room.purchasedUpgrades[upgradeRole].push(upgradeId);
-        upgrade.apply(room.gameState);
-
-        // Broadcast available upgrades
-        sendUpgradeState(room);
+        router.send(roomCode, { type: 'upgrade', upgradeRole: msg.upgradeRole, upgradeId: msg.upgradeId });
         break;
       }
 
-      case 'nextLevel': {
-        if (!roomCode || (role !== 'thief' && role !== 'local')) return;
-        const room = rooms.get(roomCode);
-        if (!room || !room.gameState || !room.gameState.gameWon) return;
-        room.totalScore += room.gameState.score;
-        room.level++;
-        if (room.level > 5) {
-          for (const p of Object.values(room.players)) {
-            if (p && p.ws && p.ws.readyState === 1) {
-              try { p.ws.send(JSON.stringify({ type: 'gameComplete', totalScore: room.totalScore })); } catch(e) {}
-            }
-          }
-          if (room.interval) clearInterval(room.interval);
-          rooms.delete(roomCode);
-          return;
-        }
-        room.gameState = createGameState(room.level, room.gameState);
+      case 'getReplay': {
+        if (!roomCode) return;
+        router.send(roomCode, { type: 'replay', key: viewerKey(role, playerId) });
         break;
       }
 
+      case 'nextLevel':
       case 'retry': {
         if (!roomCode || (role !== 'thief' && role !== 'local')) return;
-        const room = rooms.get(roomCode);
-        if (!room || !room.gameState || !room.gameState.gameOver) return;
-        room.level = 1;
-        room.totalScore = 0;
-        room.purchasedUpgrades = { thief: [], drone: [] };
-        room.gameState = createGameState(room.level, null);
+        router.send(roomCode, { type: msg.type });
         break;
       }
     }
@@ -1355,9 +735,17 @@ wss.on('connection', (ws) => {
     const room = rooms.get(roomCode);
     if (!room) return;
 
-    if (room.players[role] && room.players[role].id === playerId) {
-      room.players[role].connected = false;
-      room.paused = true;
+    if (role === 'spectator') {
+      room.spectators = room.spectators.filter(sp => sp.id !== playerId);
+      setViewer(room, playerId, false);
+      sendToRoom(room, { type: 'spectatorCount', count: room.spectators.length });
+      return;
+    }
+
+    if (holdsSeats(room, role, playerId)) {
+      for (const seat of seatsOf(role)) room.players[seat].connected = false;
+      setViewer(room, viewerKey(role, playerId), false);
+      setPaused(room, true);
       console.log(`Player ${playerId} disconnected from room ${roomCode} (${role})`);
 
       const partnerRole = role === 'thief' ? 'drone' : 'thief';
@@ -1370,8 +758,7 @@ wss.on('connection', (ws) => {
         if (!r) return;
         const anyConnected = Object.values(r.players).some(p => p && p.connected);
         if (!anyConnected) {
-          if (r.interval) clearInterval(r.interval);
-          rooms.delete(roomCode);
+          deleteRoom(r);
           console.log(`Room ${roomCode} cleaned up (all disconnected)`);
         }
       }, 120000);
@@ -1379,29 +766,6 @@ wss.on('connection', (ws) => {
   });
 });
 
-function sendUpgradeState(room) {
-  const availScore = room.totalScore + (room.gameState ? room.gameState.score : 0);
-  const msg = JSON.stringify({
-    type: 'upgrades',
-    score: availScore,
-    thiefUpgrades: THIEF_UPGRADES.map(u => ({
-      ...u, apply: undefined,
-      purchased: room.purchasedUpgrades.thief.includes(u.id),
-      affordable: availScore >= u.cost,
-    })),
-    droneUpgrades: DRONE_UPGRADES.map(u => ({
-      ...u, apply: undefined,
-      purchased: room.purchasedUpgrades.drone.includes(u.id),
-      affordable: availScore >= u.cost,
-    })),
-  });
-  for (const p of Object.values(room.players)) {
-    if (p && p.ws && p.ws.readyState === 1) {
-      try { p.ws.send(msg); } catch(e) {}
-    }
-  }
-}
-
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`HEIST server running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} in your browser`);
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAdminAuth } = require('../lib/admin');
+
+// What the middleware did with a request: 'next', or the status it answered with
+function run(auth, { method = 'GET', password, json = false } = {}) {
+  const headers = password === undefined ? {} : { authorization: `Basic ${Buffer.from(`admin:${password}`).toString('base64')}` };
+  const req = { method, get: (h) => headers[h.toLowerCase()], is: () => (json ? 'application/json' : false) };
+  const res = { headers: {}, set(k, v) { this.headers[k] = v; return this; }, status(code) { this.code = code; return this; }, json() { return this; } };
+  let result = null;
+  auth(req, res, () => { result = 'next'; });
+  return result || res;
+}
+
+test('admin routes take the password, and are off without one', () => {
+  const auth = createAdminAuth('hunter2');
+  assert.strictEqual(run(auth, { password: 'hunter2' }), 'next');
+  const wrong = run(auth, { password: 'hunter3' });
+  assert.strictEqual(wrong.code, 401);
+  assert.match(wrong.headers['WWW-Authenticate'], /^Basic realm=/);
+  assert.strictEqual(run(auth).code, 401);
+  assert.strictEqual(run(createAdminAuth(undefined), { password: '' }).code, 404);
+});
+
+test('admin actions must be JSON, so a plain form post is turned away', () => {
+  const auth = createAdminAuth('hunter2');
+  assert.strictEqual(run(auth, { method: 'POST', password: 'hunter2' }).code, 415);
+  assert.strictEqual(run(auth, { method: 'POST', password: 'hunter2', json: true }), 'next');
+  assert.strictEqual(run(auth, { method: 'POST', password: 'nope', json: true }).code, 401);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, floorDist, STEALTH_BONUS } = require('../game');
+const { levelResult } = require('../lib/leaderboard');
+
+test('stage 1 sends guards within the alarm radius to look', () => {
+  const sim = createSim({ map: [
+    '#######################',
+    '#@T.......G.........G.#',
+    '#######################',
+  ] });
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.alarmStage, 1);
+  const [near, far] = sim.state.guards;
+  assert.strictEqual(near.alertLevel, 1);
+  assert.deepStrictEqual(near.investigateTarget, { x: 2, y: 1, search: true });
+  assert.strictEqual(far.alertLevel, 0);
+});
+
+test('stage 2 re-locks hacked doors and brings in reinforcements from the edges', () => {
+  const sim = createSim({ map: [
+    '############',
+    '#@TD.......#',
+    '#..........#',
+    '############',
+  ] });
+  sim.droneTo(3, 1).hack();
+  assert.strictEqual(sim.state.doors[0].open, true);
+  sim.walk('thief', 'R').wait(9900);
+  assert.strictEqual(sim.state.alarmStage, 1);
+  assert.strictEqual(sim.state.guards.length, 0);
+
+  sim.tick();
+  assert.strictEqual(sim.state.alarmStage, 2);
+  assert.strictEqual(sim.state.doors[0].open, false);
+  assert.strictEqual(sim.state.map[1][3], 'D');
+  assert.strictEqual(sim.state.guards.length, 2);
+  for (const g of sim.state.guards) {
+    assert.strictEqual(g.reinforcement, true);
+    assert.strictEqual(g.alertLevel, 2);
+    assert.ok(floorDist(sim.state, g, sim.state.thief) >= 4);
+  }
+  assert.strictEqual(sim.state.thief.hp, 3, 'escalating costs no lives');
+});
+
+test('stage 3 locks the exit down until the drone hacks an alarm panel', () => {
+  const sim = createSim({ map: [
+    '##########',
+    '#@T*>...A#',
+    '##########',
+  ], rules: { reinforcements: 0 } });
+  sim.walk('thief', 'RR').wait(20000);
+  assert.strictEqual(sim.state.exitOpen, true);
+  assert.strictEqual(sim.state.alarmStage, 3);
+  assert.strictEqual(sim.state.exitLocked, true);
+
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.gameWon, false);
+  assert.strictEqual(sim.state.thief.action, 'EXIT LOCKED DOWN');
+
+  sim.droneTo(8, 1).hack();
+  assert.strictEqual(sim.state.alarmActive, false);
+  assert.strictEqual(sim.state.exitLocked, false);
+  sim.walk('thief', 'LR');
+  assert.strictEqual(sim.state.gameWon, true);
+  assert.strictEqual(levelResult(sim.state).alarmStage, 3);
+});
+
+test('the stealth bonus shrinks with the highest alarm stage reached', () => {
+  const win = (waitMs) => {
+    const sim = createSim({ map: [
+      '#########',
+      '#@T*.>.A#',
+      '#########',
+    ], rules: { reinforcements: 0 } });
+    sim.walk('thief', 'RR').wait(waitMs).droneTo(7, 1).hack();
+    const before = sim.state.score;
+    sim.walk('thief', 'RR');
+    assert.strictEqual(sim.state.gameWon, true);
+    const objectives = sim.state.objectives.filter(o => o.completed).length * 1000;
+    return { stage: sim.state.alarmPeakStage, timer: sim.state.timer, gained: sim.state.score - before - objectives };
+  };
+  const quick = win(0);
+  const slow = win(10000);
+  assert.strictEqual(quick.stage, 1);
+  assert.strictEqual(slow.stage, 2);
+  const timeBonus = (t) => Math.max(0, 3000 - Math.floor(t / 1000) * 10);
+  assert.strictEqual(quick.gained - timeBonus(quick.timer), 1000 + STEALTH_BONUS[1]);
+  assert.strictEqual(slow.gained - timeBonus(slow.timer), 1000 + STEALTH_BONUS[2]);
+});
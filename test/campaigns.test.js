@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCampaignStore, normalizeCampaignCode } = require('../lib/campaigns');
+const { createGameState, carryOver, buyUpgrade } = require('../game');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heist-campaigns-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, store: createCampaignStore(dir) };
+}
+
+test('campaigns save, load and remove by code', () => {
+  const { dir, store } = tempStore();
+  const code = store.newCode();
+  assert.strictEqual(normalizeCampaignCode(code.toLowerCase()), code);
+  store.save({ code, seed: 'ABC', level: 3, totalScore: 4200, purchasedUpgrades: { thief: ['hp_up'], drone: [] }, carry: null });
+
+  const loaded = store.load(code.toLowerCase());
+  assert.strictEqual(loaded.level, 3);
+  assert.deepStrictEqual(loaded.purchasedUpgrades.thief, ['hp_up']);
+  // Nothing left behind from the temp-file write
+  assert.deepStrictEqual(fs.readdirSync(dir), [`${code}.json`]);
+
+  store.remove(code);
+  assert.strictEqual(store.load(code), null);
+});
+
+test('unknown, malformed and path-like codes load as null', () => {
+  const { dir, store } = tempStore();
+  assert.strictEqual(store.load('ZZZZZZZZ'), null);
+  assert.strictEqual(store.load('../../etc/passwd'), null);
+  fs.writeFileSync(path.join(dir, 'QQQQQQQQ.json'), '{ not json');
+  assert.strictEqual(store.load('QQQQQQQQ'), null);
+  assert.throws(() => store.save({ code: '../x' }));
+});
+
+test('carried stats rebuild the same upgraded thief and drone', () => {
+  const state = createGameState(2, null, 'CARRY');
+  buyUpgrade(state, 'thief', 'keycard');
+  buyUpgrade(state, 'drone', 'emp');
+  state.drone.gadgets[0].charges = 0;
+  state.drone.maxBattery += 25;
+  const carry = JSON.parse(JSON.stringify(carryOver(state)));
+  const resumed = createGameState(3, carry, 'CARRY');
+  const direct = createGameState(3, state, 'CARRY');
+  assert.deepStrictEqual(resumed.thief.arsenal, { noisemaker: 0, smoke: 0, keycard: 0 });
+  assert.deepStrictEqual(resumed.drone.gadgets, [{ id: 'emp', charges: 2 }, { id: 'decoy', charges: 1 }], 'refilled, upgraded');
+  assert.deepStrictEqual(resumed.thief, direct.thief);
+  assert.deepStrictEqual(resumed.drone, direct.drone);
+});
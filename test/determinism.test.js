@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createGameState, createSim, buildSnapshot, diffSnapshot, filterSnapshotForThief, simulateReplay, spawnReinforcements,
+} = require('../game');
+
+// Mirrors applyDelta in public/index.html
+function applyDelta(state, d) {
+  if (d.tiles) for (const [x, y, tile] of d.tiles) state.map[y][x] = tile;
+  if (d.set) Object.assign(state, d.set);
+  if (d.unset) for (const k of d.unset) delete state[k];
+  if (d.patch) {
+    for (const key in d.patch) {
+      const target = state[key];
+      for (const k in d.patch[key]) {
+        if (Array.isArray(target)) Object.assign(target[k], d.patch[key][k]);
+        else target[k] = d.patch[key][k];
+      }
+    }
+  }
+  state.sounds = d.sounds || [];
+  state.shakeEvents = d.shakeEvents || [];
+}
+
+function playSome(sim) {
+  for (let i = 0; i < 40 && !sim.state.gameOver; i++) {
+    sim.walk('thief', 'RDLU'[i % 4]).input('drone', 'move', { dx: 1, dy: 0 }).tick(3);
+  }
+}
+
+test('the same seed and level always build the same map', () => {
+  const a = createGameState(3, null, 'VAULT7');
+  const b = createGameState(3, null, 'VAULT7');
+  assert.deepStrictEqual(a.map, b.map);
+  assert.deepStrictEqual(a.guards, b.guards);
+  assert.deepStrictEqual(a.objectives.map(o => o.id), b.objectives.map(o => o.id));
+  assert.notDeepStrictEqual(a.map, createGameState(3, null, 'VAULT8').map);
+  assert.notDeepStrictEqual(a.map, createGameState(4, null, 'VAULT7').map);
+});
+
+test('keyframe plus deltas rebuild the latest snapshot', () => {
+  const sim = createSim({ seed: 'DELTA', level: 2 });
+  const client = structuredClone(buildSnapshot(sim.room));
+  let prev = structuredClone(client);
+  for (let i = 0; i < 30; i++) {
+    sim.walk('thief', 'RRDDLLUU'[i % 8]).tick(2);
+    const next = structuredClone(buildSnapshot(sim.room));
+    const d = diffSnapshot(prev, next);
+    if (d) applyDelta(client, d);
+    prev = next;
+    sim.state.sounds = [];
+    sim.state.shakeEvents = [];
+  }
+  assert.deepStrictEqual({ ...client, sounds: [], shakeEvents: [] }, { ...prev, sounds: [], shakeEvents: [] });
+  assert.strictEqual(diffSnapshot(prev, structuredClone(buildSnapshot(sim.room))), null);
+});
+
+test('a delta drops fields and keys that are gone, not just the changed ones', () => {
+  const prev = structuredClone(buildSnapshot(createSim({ seed: 'SHAPE', level: 1 }).room));
+  prev.doors = [{ x: 1, y: 1, type: 'physical', open: false, pins: 3 }, { x: 5, y: 1, type: 'electronic', open: false }];
+  prev.ack = 4;
+  const next = structuredClone(prev);
+  // Same list length, but the first door changed kind and lost its pins
+  next.doors[0] = { x: 1, y: 1, type: 'electronic', open: false };
+  delete next.thief.lock;
+  delete next.ack;
+
+  const client = JSON.parse(JSON.stringify(prev));
+  applyDelta(client, JSON.parse(JSON.stringify(diffSnapshot(prev, next))));
+  assert.deepStrictEqual(client.doors, next.doors);
+  assert.ok(!('lock' in client.thief));
+  assert.ok(!('ack' in client));
+  assert.deepStrictEqual(client, JSON.parse(JSON.stringify({ ...next, sounds: [], shakeEvents: [] })));
+});
+
+test("the thief's snapshot hides tiles out of sight", () => {
+  const sim = createSim({ seed: 'FOG', level: 1 });
+  const full = buildSnapshot(sim.room);
+  const thief = filterSnapshotForThief(sim.state, full);
+  const { x, y } = sim.state.thief;
+  assert.notStrictEqual(thief.map[y][x], '?');
+  assert.ok(thief.map.some(row => row.includes('?')));
+  assert.ok(full.map.every(row => !row.includes('?')));
+
+  // Guards keep their id when others are left out, so the client can glide each one,
+  // and the id isn't the guard's place in the list, which would count the unseen ones
+  const far = createSim({ map: ['##############', '#G.....@..G.>#', '##############'] });
+  const seen = filterSnapshotForThief(far.state, buildSnapshot(far.room)).guards;
+  assert.deepStrictEqual(seen.map(g => [g.id, g.x]), [[far.state.guards[1].id, 10]]);
+  assert.strictEqual(typeof seen[0].id, 'string');
+  assert.notStrictEqual(seen[0].id, '1');
+  spawnReinforcements(far.state);
+  const ids = far.state.guards.map(g => g.id);
+  assert.ok(ids.length > 2 && ids.every(Boolean), 'reinforcements get ids too');
+  assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+test('a recording replays to the same end state', () => {
+  const sim = createSim({ seed: 'REPLAY', level: 2 });
+  playSome(sim);
+  const frames = simulateReplay(sim.recording());
+  const view = structuredClone(frames[0]);
+  for (const d of frames.slice(1)) applyDelta(view, d);
+  const live = buildSnapshot(sim.room);
+  for (const key of ['thief', 'drone', 'guards', 'doors', 'score', 'timer', 'alarmActive', 'gameOver']) {
+    assert.deepStrictEqual(view[key], live[key], key);
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, createGameState, floorOf } = require('../game');
+
+const BUILDING = [
+  [
+    '#########',
+    '#@.H...E#',
+    '#.......#',
+    '#######T#',
+    '#########',
+  ],
+  [
+    '#########',
+    '#..H...E#',
+    '#.......#',
+    '#G.....*#',
+    '#########',
+  ],
+];
+
+test('stairs move the thief between floors', () => {
+  const sim = createSim({ map: BUILDING });
+  assert.strictEqual(sim.state.floorCount, 2);
+  sim.walk('thief', 'RR');
+  assert.deepStrictEqual([sim.state.thief.x, sim.state.thief.y], [12, 1]);
+  assert.strictEqual(floorOf(sim.state, sim.state.thief.x), 1);
+  sim.walk('thief', 'DU');
+  assert.strictEqual(floorOf(sim.state, sim.state.thief.x), 0);
+});
+
+test('elevators only run once the drone powers them', () => {
+  const sim = createSim({ map: BUILDING });
+  sim.walk('thief', 'DRRRRRRU');
+  assert.deepStrictEqual([sim.state.thief.x, sim.state.thief.y], [7, 1]);
+  assert.strictEqual(sim.state.thief.action, 'Elevator has no power');
+
+  sim.droneTo(7, 1).hack();
+  assert.ok(sim.state.elevators.every(e => e.powered));
+  sim.walk('thief', 'DU');
+  assert.deepStrictEqual([sim.state.thief.x, sim.state.thief.y], [16, 1]);
+});
+
+test('the drone cursor switches floors and stays on its floor', () => {
+  const sim = createSim({ map: BUILDING });
+  const d = sim.state.drone;
+  assert.strictEqual(floorOf(sim.state, d.x), 0);
+  sim.input('drone', 'floorUp');
+  assert.strictEqual(floorOf(sim.state, d.x), 1);
+  sim.input('drone', 'floorUp');
+  assert.strictEqual(floorOf(sim.state, d.x), 0, 'wraps around');
+  sim.input('drone', 'floorDown');
+  assert.strictEqual(floorOf(sim.state, d.x), 1);
+  for (let i = 0; i < 20; i++) sim.input('drone', 'move', { dx: -1, dy: 0 });
+  assert.strictEqual(d.x, 9);
+});
+
+test('an alarm sends a guard from another floor up the stairs', () => {
+  const sim = createSim({ map: BUILDING });
+  const g = sim.state.guards[0];
+  sim.walk('thief', 'DRRRRRRD');
+  assert.strictEqual(sim.state.alarmActive, true);
+  assert.deepStrictEqual(g.investigateTarget, { x: 7, y: 3, search: true });
+  const floors = new Set();
+  for (let i = 0; i < 60; i++) {
+    sim.tick();
+    floors.add(floorOf(sim.state, g.x));
+  }
+  assert.ok(floors.has(0), 'guard reached the alarm floor');
+});
+
+test('noise does not carry between floors', () => {
+  const sim = createSim({ map: BUILDING });
+  sim.walk('thief', 'D').input('thief', 'gadget', { gadget: 'noisemaker', dx: 1, dy: 0 }).tick(10);
+  assert.strictEqual(sim.state.guards[0].alertLevel, 0);
+});
+
+test('bigger levels are multi-floor with loot spread across floors', () => {
+  for (const [level, floors] of [[3, 1], [4, 2], [5, 3]]) {
+    const state = createGameState(level, null, 'TOWER');
+    assert.strictEqual(state.floorCount, floors);
+    assert.strictEqual(state.mapWidth, state.floorWidth * floors);
+    const lootFloors = new Set(state.loot.filter(l => l.primary).map(l => floorOf(state, l.x)));
+    assert.strictEqual(lootFloors.size, floors);
+    if (floors > 1) {
+      assert.ok(state.stairs.length >= 2 * (floors - 1));
+      assert.strictEqual(state.elevators.length, floors);
+      assert.strictEqual(floorOf(state, state.exitPos.x), floors - 1);
+    }
+  }
+});
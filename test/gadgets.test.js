@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, createGameState, shopOffers, buyUpgrade, LOADOUT_SLOTS, MAX_GADGET_TIER } = require('../game');
+
+// A sim that packs only the given gadgets (bought for the occasion) before starting
+function kitted(map, packs) {
+  const sim = createSim({ map, loadout: true });
+  for (const role of ['thief', 'drone']) {
+    for (const g of [...sim.state[role].gadgets]) sim.input(role, 'equip', { gadget: g.id });
+    for (const id of packs[role] || []) {
+      sim.state[role].arsenal[id] = 0;
+      sim.input(role, 'equip', { gadget: id });
+    }
+  }
+  return sim.input('thief', 'ready').input('drone', 'ready');
+}
+
+test('nothing happens until both roles have packed and are ready', () => {
+  const sim = createSim({ map: ['######', '#@...#', '######'], loadout: true });
+  sim.walk('thief', 'R').tick(5);
+  assert.strictEqual(sim.state.thief.x, 1);
+  assert.strictEqual(sim.state.timer, 0);
+
+  assert.strictEqual(sim.state.thief.gadgets.length, 2);
+  sim.input('thief', 'equip', { gadget: 'emp' }).input('thief', 'equip', { gadget: 'keycard' });
+  assert.strictEqual(sim.state.thief.gadgets.length, 2, "not the drone's, and not bought");
+  sim.state.thief.arsenal.keycard = 0;
+  sim.state.thief.arsenal.glass_cutter = 0;
+  sim.input('thief', 'equip', { gadget: 'keycard' }).input('thief', 'equip', { gadget: 'glass_cutter' });
+  assert.strictEqual(sim.state.thief.gadgets.length, LOADOUT_SLOTS);
+  assert.ok(!sim.state.thief.gadgets.some(g => g.id === 'glass_cutter'));
+
+  sim.input('thief', 'ready').input('thief', 'equip', { gadget: 'keycard' });
+  assert.strictEqual(sim.state.thief.gadgets.length, LOADOUT_SLOTS, 'packed and ready');
+  assert.strictEqual(sim.state.phase, 'loadout');
+  sim.input('drone', 'ready');
+  assert.strictEqual(sim.state.phase, 'heist');
+  sim.walk('thief', 'R').tick();
+  assert.strictEqual(sim.state.thief.x, 2);
+  assert.ok(sim.state.timer > 0);
+});
+
+test('the keycard cloner and glass cutter get the thief through', () => {
+  const sim = kitted(['#######', '#@D...#', '#######'], { thief: ['keycard'] });
+  sim.input('thief', 'gadget', { gadget: 'keycard' });
+  assert.strictEqual(sim.state.doors[0].open, true);
+  assert.deepStrictEqual(sim.state.disturbances, [], 'no trace');
+  sim.input('thief', 'gadget', { gadget: 'keycard' });
+  assert.strictEqual(sim.state.thief.gadgets[0].charges, 1, 'nothing to open, nothing spent');
+
+  const cut = kitted(['#######', '#@#...#', '#######'], { thief: ['glass_cutter'] });
+  cut.input('thief', 'gadget', { gadget: 'glass_cutter' });
+  assert.strictEqual(cut.state.thief.gadgets[0].charges, 1, 'no floor behind the outer wall');
+  cut.input('thief', 'gadget', { gadget: 'glass_cutter', dx: 1, dy: 0 });
+  assert.strictEqual(cut.state.map[1][2], '.');
+  assert.strictEqual(cut.state.disturbances[0].kind, 'wall');
+  cut.walk('thief', 'RR');
+  assert.strictEqual(cut.state.thief.x, 3);
+});
+
+test('a camera loop blinds a camera for a while and the taser stuns a guard', () => {
+  const sim = kitted(['########', '#@..C..#', '########'], { drone: ['camera_loop'] });
+  const cam = sim.state.cameras[0];
+  cam.dir = 3;
+  sim.droneTo(4, 1).input('drone', 'gadget', { gadget: 'camera_loop' }).tick(5);
+  assert.strictEqual(sim.state.alarmActive, false);
+  assert.strictEqual(cam.active, true);
+  sim.wait(10000);
+  cam.dir = 3;
+  sim.tick();
+  assert.strictEqual(sim.state.alarmActive, true);
+
+  const tased = kitted(['#######', '#@...G#', '#######'], { drone: ['taser'] });
+  const battery = tased.state.drone.battery;
+  tased.droneTo(5, 1).input('drone', 'gadget', { gadget: 'taser' });
+  assert.strictEqual(tased.state.guards[0].frozen, true);
+  assert.strictEqual(tased.state.guards[0].frozenTimer, 8000);
+  assert.strictEqual(tased.state.drone.battery, battery);
+});
+
+test('the shop sells gadgets and extra charges for the ones owned', () => {
+  const state = createGameState(1, null, 'SHOP');
+  const offer = (id) => shopOffers(state, 'thief').find(o => o.id === id);
+  assert.strictEqual(offer('keycard').owned, false);
+  assert.strictEqual(offer('noisemaker').name, 'Noise Maker +1 charge');
+  assert.ok(shopOffers(state, 'drone').every(o => ['emp', 'decoy', 'camera_loop', 'taser'].includes(o.id)));
+
+  assert.strictEqual(buyUpgrade(state, 'thief', 'keycard'), true);
+  assert.strictEqual(offer('keycard').tier, 0);
+  const first = offer('noisemaker').cost;
+  for (let i = 0; i < MAX_GADGET_TIER; i++) assert.strictEqual(buyUpgrade(state, 'thief', 'noisemaker'), true);
+  assert.ok(offer('noisemaker').cost > first);
+  assert.strictEqual(offer('noisemaker').maxed, true);
+  assert.strictEqual(buyUpgrade(state, 'thief', 'noisemaker'), false);
+
+  const next = createGameState(2, state, 'SHOP');
+  assert.deepStrictEqual(next.thief.gadgets[0], { id: 'noisemaker', charges: 2 + MAX_GADGET_TIER });
+  assert.strictEqual(next.phase, 'loadout');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, searchPointsAround } = require('../game');
+
+test('a guard who spots the thief radios guards in range', () => {
+  const sim = createSim({ map: [
+    '##########################',
+    '#G@......G..............G#',
+    '##########################',
+  ] });
+  const [spotter, near, far] = sim.state.guards;
+  spotter.dir = 1;
+  sim.tick(5);
+  assert.strictEqual(spotter.alertLevel, 2);
+  assert.strictEqual(near.alertLevel, 2);
+  assert.deepStrictEqual(near.lastKnownThief, { x: 2, y: 1 });
+  assert.strictEqual(far.alertLevel, 0);
+  assert.ok(sim.state.sounds.includes('radio'));
+});
+
+test('search points take in nearby doorways and rooms, nearest first', () => {
+  const sim = createSim({ map: [
+    '###############',
+    '#.....D.......#',
+    '#@....#.......#',
+    '###############',
+  ] });
+  sim.state.doors[0].open = true;
+  sim.state.map[1][6] = '.';
+  sim.state.rooms = [{ x: 7, y: 1, w: 5, h: 2 }];
+  const points = searchPointsAround(sim.state, { x: 4, y: 1 });
+  assert.deepStrictEqual(points[0], { x: 6, y: 1 });
+  assert.deepStrictEqual(points[1], { x: 9, y: 2 }, 'the room centre is within reach');
+  assert.ok(points.length <= 4);
+});
+
+test('a guard searches around the last known position, then goes back to patrol', () => {
+  const sim = createSim({ map: [
+    '###########',
+    '#@#.......#',
+    '###.......#',
+    '#....G....#',
+    '###########',
+  ] });
+  const g = sim.state.guards[0];
+  g.alertLevel = 2;
+  g.alertTimer = 60000;
+  g.lastKnownThief = { x: 5, y: 1 };
+  let searched = false;
+  for (let i = 0; i < 200 && !searched; i++) {
+    sim.tick();
+    searched = !!(g.searchPoints && g.searchPoints.length);
+  }
+  assert.ok(searched, 'reaching the last known position starts a search');
+  assert.strictEqual(g.alertLevel, 1);
+  sim.wait(20000);
+  assert.strictEqual(g.searchPoints, null);
+  assert.strictEqual(g.alertLevel, 0);
+});
+
+test('patrolling guards notice hacked doors and freezes', () => {
+  const sim = createSim({ map: [
+    '##########',
+    '#@D......#',
+    '#...G....#',
+    '##########',
+  ] });
+  const g = sim.state.guards[0];
+  sim.droneTo(2, 1).hack().tick(5);
+  assert.strictEqual(g.alertLevel, 1);
+  assert.deepStrictEqual(g.investigateTarget, { x: 2, y: 1, search: true });
+  assert.strictEqual(sim.state.disturbances[0].noticed, true);
+
+  const frozen = createSim({ map: [
+    '#########',
+    '#@......#',
+    '#...G...#',
+    '#########',
+  ] });
+  const fg = frozen.state.guards[0];
+  frozen.droneTo(4, 2).hack();
+  assert.strictEqual(fg.frozen, true);
+  frozen.wait(frozen.state.drone.freezeDuration + 100);
+  assert.strictEqual(fg.frozen, false);
+  assert.strictEqual(fg.alertLevel, 1, 'waking up is suspicious');
+  assert.ok(fg.searchPoints.length > 0);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createSim, createGameState, createHack, solvesPuzzle, solvePuzzle, buildSnapshot, simulateReplay, SEQUENCE_SHOW_MS,
+} = require('../game');
+
+const doorway = [
+  '##########',
+  '#@D......#',
+  '##########',
+];
+
+test('a door hack only opens the door once the drone solves the keypad', () => {
+  const sim = createSim({ map: doorway });
+  const battery = sim.state.drone.battery;
+  sim.droneTo(2, 1).input('drone', 'hack');
+  const hack = sim.state.drone.hack;
+  assert.strictEqual(hack.kind, 'door');
+  assert.strictEqual(hack.puzzle.type, 'sequence');
+  assert.strictEqual(sim.state.drone.battery, battery - sim.state.drone.hackCost);
+  assert.strictEqual(sim.state.doors[0].open, false);
+
+  sim.input('drone', 'move', { dx: 1, dy: 0 }).input('drone', 'hack');
+  assert.strictEqual(sim.state.drone.x, 2, 'busy with the puzzle');
+  assert.strictEqual(sim.state.drone.battery, battery - sim.state.drone.hackCost);
+
+  sim.input('drone', 'hackSubmit', { answer: solvePuzzle(hack.puzzle) });
+  assert.strictEqual(sim.state.drone.hack, null);
+  assert.strictEqual(sim.state.doors[0].open, true);
+  assert.strictEqual(sim.state.drone.hacks, 1);
+});
+
+test('a wrong answer or running out of time sends guards nearby to search', () => {
+  const map = [
+    '################',
+    '#@D...G.......G#',
+    '################',
+  ];
+  const failed = (fail) => {
+    const sim = createSim({ map });
+    sim.droneTo(2, 1).input('drone', 'hack');
+    fail(sim);
+    assert.strictEqual(sim.state.drone.hack, null);
+    assert.strictEqual(sim.state.doors[0].open, false);
+    assert.ok(sim.state.sounds.includes('hackFail'));
+    return sim.state.guards.map(g => g.alertLevel);
+  };
+  const wrong = (sim) => {
+    const answer = solvePuzzle(sim.state.drone.hack.puzzle);
+    answer[0] = (answer[0] + 1) % 4;
+    sim.input('drone', 'hackSubmit', { answer });
+  };
+  assert.deepStrictEqual(failed(wrong), [1, 0], 'only the guard nearby');
+  assert.deepStrictEqual(failed(sim => sim.input('drone', 'hackSubmit', { answer: 'open sesame' })), [1, 0]);
+  assert.deepStrictEqual(failed(sim => sim.wait(sim.state.drone.hack.limit)), [1, 0]);
+});
+
+test('puzzles get harder on later levels and tougher targets, and routes must be unbroken', () => {
+  const state = createGameState(1, null, 'HACK');
+  const door = createHack(state, 'door', 0, 0);
+  const panel = createHack(state, 'panel', 0, 0);
+  assert.ok(panel.limit < door.limit);
+  state.level = 5;
+  const lateDoor = createHack(state, 'door', 0, 0);
+  assert.ok(lateDoor.puzzle.sequence.length > door.puzzle.sequence.length);
+  assert.ok(lateDoor.limit < door.limit);
+  assert.ok(createHack(state, 'panel', 0, 0).puzzle.size > panel.puzzle.size);
+
+  for (let i = 0; i < 20; i++) {
+    const { puzzle } = createHack(state, 'camera', 0, 0);
+    const route = solvePuzzle(puzzle);
+    assert.ok(solvesPuzzle(puzzle, route));
+    assert.ok(!solvesPuzzle(puzzle, route.slice(0, -1)), 'stops short');
+    assert.ok(!solvesPuzzle(puzzle, [puzzle.start, puzzle.end]), 'jumps');
+    assert.ok(!solvesPuzzle(puzzle, [...route, route[route.length - 2]]), 'doubles back');
+  }
+});
+
+test('the code hides after a moment, and the same seed rolls the same puzzles in a replay', () => {
+  const sim = createSim({ map: doorway });
+  sim.droneTo(2, 1).input('drone', 'hack');
+  const { puzzle } = sim.state.drone.hack;
+  const view = () => buildSnapshot(sim.room).drone.hack;
+  assert.deepStrictEqual(view().sequence, puzzle.sequence);
+  sim.wait(puzzle.showMs + SEQUENCE_SHOW_MS);
+  assert.strictEqual(view().sequence, null);
+  assert.strictEqual(view().length, puzzle.sequence.length);
+
+  sim.input('drone', 'hackSubmit', { answer: puzzle.sequence }).walk('thief', 'RRR').tick();
+  assert.strictEqual(sim.state.thief.x, 4);
+  // The replay rolls the same code, so the recorded answer opens the door again
+  const moves = simulateReplay(sim.recording()).filter(f => f.patch && f.patch.thief && f.patch.thief.x !== undefined);
+  assert.strictEqual(moves.at(-1).patch.thief.x, 4);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLeaderboard, levelResult, normalizeTeamName } = require('../lib/leaderboard');
+const { createSim, resolveRules } = require('../game');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heist-leaderboard-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'leaderboard.jsonl');
+}
+
+const level = (n, score, time, alarms) => ({ level: n, score, time, alarms, objectives: alarms ? [] : ['ghost'] });
+
+test('runs are ranked by score or time and survive a reload', () => {
+  const file = tempFile();
+  const board = createLeaderboard(file);
+  board.record({ team: 'Slow', seed: 'ABC', levels: [level(1, 5000, 90000, 0), level(2, 4000, 80000, 0)] });
+  board.record({ team: 'Loud', seed: 'ABC', levels: [level(1, 7000, 60000, 2), level(2, 6000, 50000, 1)] });
+  board.record({ team: 'Other', seed: 'XYZ', levels: [level(1, 1000, 30000, 0)] });
+  board.record({ team: 'Custom', seed: 'ABC', levelName: 'bank-job', levels: [level(2, 9000, 40000, 0)] });
+  board.record({ team: 'Hard', seed: 'ABC', rules: resolveRules('legend'), levels: [level(1, 500, 90000, 3)] });
+  fs.appendFileSync(file, '{"torn":');
+
+  const reloaded = createLeaderboard(file);
+  assert.deepStrictEqual(reloaded.query().map(r => r.team), ['Loud', 'Slow', 'Other']);
+  assert.deepStrictEqual(reloaded.query({ seed: 'ABC', ghost: true }).map(r => [r.rank, r.team]), [[1, 'Slow']]);
+  assert.deepStrictEqual(reloaded.query({ sort: 'time' }).map(r => r.team), ['Other', 'Loud', 'Slow']);
+  assert.deepStrictEqual(reloaded.query({ levelName: 'bank-job' }).map(r => r.team), ['Custom']);
+  // Runs on other rules are ranked separately
+  assert.deepStrictEqual(reloaded.query({ rules: 'legend' }).map(r => [r.rank, r.team]), [[1, 'Hard']]);
+
+  const level2 = reloaded.query({ level: 2, sort: 'time' });
+  assert.deepStrictEqual(level2.map(r => [r.team, r.time, r.ghost]), [['Loud', 50000, false], ['Slow', 80000, true]]);
+  assert.strictEqual(reloaded.query({ limit: 1 }).length, 1);
+});
+
+test('level results count the alarms raised', () => {
+  const sim = createSim({ map: [
+    '######',
+    '#@T.>#',
+    '######',
+  ] });
+  assert.strictEqual(levelResult(sim.state).alarms, 0);
+  sim.walk('thief', 'R');
+  const result = levelResult(sim.state);
+  assert.strictEqual(result.level, sim.state.level);
+  assert.strictEqual(result.alarms, 1);
+  assert.strictEqual(normalizeTeamName('  The\tCrew\u0000  '), 'The Crew');
+  assert.strictEqual(normalizeTeamName('   '), null);
+});
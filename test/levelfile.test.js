@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  generateLevel, levelRng, validateLevelFile, levelFromFile, levelToFile, createGameStateFromFile,
+} = require('../game');
+
+function smallLevel() {
+  return {
+    format: 'heist-level', version: 1, name: 'Test', level: 1,
+    map: [
+      '#########',
+      '#..D..C.#',
+      '#*.#.S.>#',
+      '#########',
+    ],
+    thiefStart: { x: 1, y: 1 },
+    doors: [{ x: 3, y: 1, type: 'electronic' }],
+    cameras: [{ x: 6, y: 1, dir: 2 }],
+    safes: [{ x: 5, y: 2, value: 900 }],
+    guards: [{ x: 4, y: 1, route: [{ x: 4, y: 1 }, { x: 7, y: 1 }] }],
+    objectives: ['ghost'],
+  };
+}
+
+test('a well-formed level file validates and loads', () => {
+  const file = smallLevel();
+  assert.deepStrictEqual(validateLevelFile(file), []);
+  const ld = levelFromFile(file);
+  assert.strictEqual(ld.doors[0].type, 'electronic');
+  assert.strictEqual(ld.cameras[0].dir, 2);
+  assert.strictEqual(ld.safes[0].lootValue, 900);
+  assert.strictEqual(ld.guards[0].route.length, 2);
+});
+
+test('validation catches entities off their glyphs and unreachable targets', () => {
+  const offGlyph = smallLevel();
+  offGlyph.cameras[0].x = 5;
+  assert.ok(validateLevelFile(offGlyph).some(e => e.startsWith('cameras[0]')));
+
+  const missing = smallLevel();
+  missing.safes = [];
+  assert.ok(validateLevelFile(missing).some(e => e.includes('has no entry in safes')));
+
+  const sealed = smallLevel();
+  sealed.map[1] = '#..#..C.#';
+  sealed.doors = [];
+  assert.ok(validateLevelFile(sealed).some(e => e.includes("can't be reached")));
+
+  assert.ok(validateLevelFile({ ...smallLevel(), objectives: ['nope'] }).includes('Unknown objective nope'));
+  assert.deepStrictEqual(validateLevelFile(null), ['Level file must be a JSON object']);
+});
+
+test('generated levels export to files that validate', () => {
+  for (let level = 1; level <= 5; level++) {
+    const file = levelToFile(generateLevel(level, levelRng('FILE', level)), 'Export', level);
+    assert.deepStrictEqual(validateLevelFile(file), [], `level ${level}`);
+    // Survives a JSON round trip unchanged
+    assert.deepStrictEqual(levelToFile(levelFromFile(JSON.parse(JSON.stringify(file))), 'Export', level), file);
+  }
+});
+
+test('level files set the objectives and level name', () => {
+  const state = createGameStateFromFile(smallLevel(), null, 'SEED');
+  assert.deepStrictEqual(state.objectives.map(o => o.id), ['ghost']);
+  assert.strictEqual(state.levelName, 'Test');
+  assert.strictEqual(state.genStats, null);
+});
+
+test('bundled levels validate', () => {
+  const dir = path.join(__dirname, '..', 'levels');
+  const names = fs.readdirSync(dir).filter(n => n.endsWith('.json'));
+  assert.ok(names.length > 0);
+  for (const name of names) {
+    assert.deepStrictEqual(validateLevelFile(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'))), [], name);
+  }
+});
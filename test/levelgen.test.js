@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateLevel, levelRng, findUnreachable, repairLevel, levelFromAscii } = require('../game');
+
+test('generated levels keep loot, exit and pads reachable with enough rooms', () => {
+  for (let level = 1; level <= 6; level++) {
+    for (let i = 0; i < 15; i++) {
+      const ld = generateLevel(level, levelRng(`REACH${i}`, level));
+      assert.deepStrictEqual(findUnreachable(ld), [], `seed REACH${i} level ${level}`);
+      assert.ok(ld.rooms.length >= ld.stats.minRooms, `seed REACH${i} level ${level}`);
+      assert.strictEqual(ld.loot.filter(l => l.primary).length, 3);
+    }
+  }
+});
+
+test('every floor reaches minRooms across many seeds, starting over when a build fails', () => {
+  for (let level = 1; level <= 5; level++) {
+    for (let i = 0; i < 60; i++) {
+      const ld = generateLevel(level, levelRng(`SWEEP${i}`, level));
+      const W = ld.floorWidth;
+      for (let f = 0; f < ld.floorCount; f++) {
+        const rooms = ld.rooms.filter(r => Math.floor(r.x / W) === f).length;
+        assert.ok(rooms >= 6 + level, `seed SWEEP${i} level ${level} floor ${f}: ${rooms} rooms`);
+      }
+    }
+  }
+  // Far past the last level a floor rarely fits its rooms, so builds get thrown away
+  const ld = generateLevel(14, levelRng('CRAMPED0', 14));
+  assert.ok(ld.stats.builds > 1);
+  assert.ok(ld.rooms.length >= ld.stats.minRooms);
+  assert.deepStrictEqual(findUnreachable(ld), []);
+});
+
+test('closed doors and safes do not count as blocking', () => {
+  const ld = levelFromAscii([
+    '#######',
+    '#@D.L*#',
+    '###S###',
+    '###>###',
+    '#######',
+  ]);
+  assert.deepStrictEqual(findUnreachable(ld), []);
+});
+
+test('repairLevel carves a corridor to sealed-off targets', () => {
+  const ld = levelFromAscii([
+    '########',
+    '#@.#.*.#',
+    '#..#####',
+    '####^..#',
+    '#>.#####',
+    '########',
+  ]);
+  assert.strictEqual(findUnreachable(ld).length, 3);
+  assert.ok(repairLevel(ld) > 0);
+  assert.deepStrictEqual(findUnreachable(ld), []);
+  assert.ok(ld.map[0].every(t => t === '#') && ld.map.every(row => row[0] === '#' && row[7] === '#'));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createSim, generateLevel, levelRng, levelToFile, validateLevelFile, switchZone, LIGHT_DARK, LIGHT_LIT,
+} = require('../game');
+
+test('generated levels light their rooms and leave corridors dark', () => {
+  const ld = generateLevel(2, levelRng('LIGHT', 2));
+  const room = ld.rooms[0];
+  assert.strictEqual(ld.light[room.y][room.x], LIGHT_LIT);
+  assert.ok(ld.light.some((row, y) => row.some((l, x) => l === LIGHT_DARK && ld.map[y][x] === '.')), 'some dark floor');
+  assert.ok(ld.switches.length > 0);
+  for (const sw of ld.switches) {
+    assert.strictEqual(ld.map[sw.y][sw.x], 'W');
+    const zone = switchZone(ld.light, ld.map, sw);
+    assert.ok(zone.length > 1 && zone.length < ld.width * ld.height / 4, 'a switch works one room');
+  }
+});
+
+test('guards and cameras see less far into the dark', () => {
+  const map = [
+    '#######',
+    '#G..@.#',
+    '#######',
+  ];
+  const spotted = (light) => {
+    const sim = createSim({ map });
+    sim.state.guards[0].dir = 1;
+    sim.state.light[1][4] = light;
+    sim.tick(5);
+    return sim.state.alarmActive;
+  };
+  assert.strictEqual(spotted(2), true);
+  assert.strictEqual(spotted(0), false);
+
+  const crouched = createSim({ map });
+  crouched.state.guards[0].dir = 1;
+  crouched.input('thief', 'crouch');
+  assert.strictEqual(crouched.state.thief.crouching, true);
+  crouched.tick(5);
+  assert.strictEqual(crouched.state.alarmActive, false, 'crouching takes a tile off the range');
+});
+
+test('the drone puts a room dark by hacking its light switch', () => {
+  const sim = createSim({ map: [
+    '########',
+    '#@.W..>#',
+    '########',
+  ] });
+  sim.droneTo(3, 1).hack();
+  assert.strictEqual(sim.state.switches[0].on, false);
+  assert.ok(sim.state.light[1].slice(1, 7).every(l => l === LIGHT_DARK));
+  sim.hack();
+  assert.ok(sim.state.light[1].slice(1, 7).every(l => l === LIGHT_LIT));
+});
+
+test('footsteps carry as far as the stance makes them', () => {
+  const map = [
+    '#########',
+    '#@......#',
+    '#########',
+    '#...G...#',
+    '#########',
+  ];
+  const heard = (stance, rules) => {
+    const sim = createSim({ map, rules });
+    if (stance === 'crouch') sim.input('thief', 'crouch');
+    if (stance === 'sprint') sim.input('thief', 'sprint');
+    sim.walk('thief', 'RRR').tick(5);
+    return sim.state.guards[0].alertLevel > 0;
+  };
+  assert.strictEqual(heard('walk'), false);
+  assert.strictEqual(heard('walk', { walkNoise: 2 }), true);
+  assert.strictEqual(heard('crouch', { walkNoise: 2 }), false);
+  assert.strictEqual(heard('sprint'), true);
+});
+
+test('level files carry their light map', () => {
+  const file = levelToFile(generateLevel(1, levelRng('LIGHTFILE', 1)), 'Lit', 1);
+  assert.deepStrictEqual(validateLevelFile(file), []);
+  const sw = file.map.findIndex(r => r.includes('W'));
+  const x = file.map[sw].indexOf('W');
+  const dark = { ...file, light: file.light.map((r, y) => y === sw ? r.slice(0, x) + '0' + r.slice(x + 1) : r) };
+  assert.ok(validateLevelFile(dark).includes(`Light switch at ${x},${sw} must be on a lit (2) tile`));
+  assert.ok(validateLevelFile({ ...file, light: ['012'] })[0].startsWith('light must be'));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createSim, createGameState, carryOver, buildSnapshot, lockPinCount, pickPosition, pinCatches, BASE_PICK_TOLERANCE,
+  shopOffers, buyUpgrade,
+} = require('../game');
+
+const lockedDoor = [
+  '#############',
+  '#@L.....G...#',
+  '#############',
+];
+
+// Ticks until the pick is (or isn't) lined up with the current pin
+function waitFor(sim, catches) {
+  for (let i = 0; i < 100 && pinCatches(sim.state.thief.lock, sim.state.timer) !== catches; i++) sim.tick();
+  return sim;
+}
+
+test('locks have their own pin counts, and the client gets the pins and the tolerance', () => {
+  const counts = new Set();
+  for (let x = 0; x < 20; x++) counts.add(lockPinCount('LOCKS', 1, { x, y: 1 }));
+  assert.deepStrictEqual([...counts].sort(), [2, 3, 4]);
+  for (let x = 0; x < 20; x++) assert.ok(lockPinCount('LOCKS', 3, { x, y: 1 }) >= 3, 'one more from level 3');
+
+  const sim = createSim({ map: lockedDoor });
+  const door = sim.state.doors[0];
+  sim.input('thief', 'pickStart');
+  const lock = buildSnapshot(sim.room).thief.lock;
+  assert.strictEqual(lock.pins.length, door.pins);
+  assert.ok(lock.pins.every(p => p >= 0.15 && p <= 0.85));
+  assert.strictEqual(lock.tolerance, BASE_PICK_TOLERANCE);
+  assert.strictEqual(pickPosition(lock, lock.start), 0);
+  assert.strictEqual(pickPosition(lock, lock.start + lock.sweepMs / 2), 1);
+});
+
+test('pressing on time sets the pins in turn and opens the door', () => {
+  const sim = createSim({ map: lockedDoor });
+  sim.input('thief', 'pickStart');
+  const pins = sim.state.thief.lock.pins.length;
+  for (let i = 1; i <= pins; i++) {
+    waitFor(sim, true).input('thief', 'pickSet');
+    if (i < pins) assert.strictEqual(sim.state.thief.lock.set, i);
+  }
+  assert.strictEqual(sim.state.thief.picking, false);
+  assert.strictEqual(sim.state.doors[0].open, true);
+  assert.strictEqual(sim.state.guards[0].alertLevel, 0);
+});
+
+test('a miss drops the pins and the rattle brings a guard close enough to hear it', () => {
+  const sim = createSim({ map: lockedDoor });
+  sim.input('thief', 'pickStart');
+  waitFor(sim, true).input('thief', 'pickSet');
+  waitFor(sim, false).input('thief', 'pickSet');
+  assert.strictEqual(sim.state.thief.lock.set, 0);
+  assert.ok(sim.state.sounds.includes('pickFail'));
+  sim.tick(5);
+  assert.strictEqual(sim.state.guards[0].alertLevel, 0, 'seven tiles off, past the rattle');
+
+  const near = createSim({ map: lockedDoor, rules: { pickNoise: 7 } });
+  near.input('thief', 'pickStart');
+  waitFor(near, false).input('thief', 'pickSet').tick(5);
+  assert.strictEqual(near.state.guards[0].alertLevel, 1);
+});
+
+test('a wider tolerance catches presses a narrow one misses, and carries to the next level', () => {
+  const sim = createSim({ map: lockedDoor });
+  sim.input('thief', 'pickStart');
+  const lock = sim.state.thief.lock;
+  const pin = lock.pins[0];
+  // Just outside the base tolerance below the shear line, on the way up
+  const t = lock.start + Math.round((pin - BASE_PICK_TOLERANCE - 0.03) * lock.sweepMs / 2);
+  assert.strictEqual(pinCatches(lock, t), false);
+  assert.strictEqual(pinCatches({ ...lock, tolerance: BASE_PICK_TOLERANCE + 0.05 }, t), true);
+
+  const state = createGameState(1, null, 'PICK');
+  state.thief.pickTolerance = 0.15;
+  assert.strictEqual(createGameState(2, carryOver(state), 'PICK').thief.pickTolerance, 0.15);
+});
+
+test('Steady Hands from the shop widens the band on the next lock picked', () => {
+  const sim = createSim({ map: lockedDoor });
+  const offer = () => shopOffers(sim.state, 'thief').find(o => o.id === 'steady_hands');
+  assert.strictEqual(offer().owned, false);
+  assert.strictEqual(buyUpgrade(sim.state, 'thief', 'steady_hands'), true);
+  assert.strictEqual(sim.state.thief.pickTolerance, 0.125);
+  assert.strictEqual(offer().name, 'Steady Hands 2');
+  while (buyUpgrade(sim.state, 'thief', 'steady_hands'));
+  assert.strictEqual(offer().maxed, true);
+  assert.strictEqual(sim.state.thief.pickTolerance, 0.175);
+
+  sim.input('thief', 'pickStart');
+  assert.strictEqual(sim.state.thief.lock.tolerance, 0.175);
+  assert.strictEqual(shopOffers(createGameState(2, carryOver(sim.state), 'PICK'), 'thief').find(o => o.id === 'steady_hands').maxed, true);
+});
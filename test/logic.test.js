@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim } = require('../game');
+
+test('electronic doors block the thief until the drone hacks them', () => {
+  const sim = createSim({ map: [
+    '######',
+    '#@D.>#',
+    '######',
+  ] });
+  sim.walk('thief', 'R');
+  assert.deepStrictEqual([sim.state.thief.x, sim.state.thief.y], [1, 1]);
+
+  sim.droneTo(2, 1).hack();
+  assert.strictEqual(sim.state.doors[0].open, true);
+  assert.strictEqual(sim.state.map[1][2], '.');
+  assert.strictEqual(sim.state.drone.battery, 75);
+
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.x, 2);
+});
+
+test('physical doors open once every pin is set, and picking can be abandoned', () => {
+  const sim = createSim({ map: [
+    '#####',
+    '#@L.#',
+    '#####',
+  ] });
+  sim.input('thief', 'pickStart').wait(5000).input('thief', 'pickStop');
+  assert.strictEqual(sim.state.doors[0].open, false);
+  assert.strictEqual(sim.state.thief.lock, null);
+
+  sim.input('thief', 'pickStart');
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.x, 1, 'cannot move while picking');
+  sim.input('thief', 'pickStop').pickLock();
+  assert.strictEqual(sim.state.doors[0].open, true);
+  assert.strictEqual(sim.state.thief.locksPicked, 1);
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.x, 2);
+});
+
+test('active lasers hurt once per invulnerability window and cycle off', () => {
+  const sim = createSim({ map: [
+    '#####',
+    '#@Z.#',
+    '#####',
+  ] });
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.hp, 2);
+  assert.ok(sim.state.thief.invulnTimer > 0);
+
+  sim.tick(5);
+  assert.strictEqual(sim.state.thief.hp, 2, 'still invulnerable');
+  sim.wait(1000);
+  assert.strictEqual(sim.state.thief.hp, 1, 'standing in the beam hurts again');
+
+  sim.walk('thief', 'L').wait(1500);
+  assert.strictEqual(sim.state.lasers[0].active, false);
+  sim.walk('thief', 'R').tick(5);
+  assert.strictEqual(sim.state.thief.hp, 1);
+});
+
+test('tripwires raise the alarm once and disappear', () => {
+  const sim = createSim({ map: [
+    '######',
+    '#@T..#',
+    '######',
+  ] });
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.alarmActive, true);
+  assert.strictEqual(sim.state.alertTriggered, true);
+  assert.strictEqual(sim.state.tripwires[0].triggered, true);
+  assert.strictEqual(sim.state.map[1][2], '.');
+});
+
+test('an alarm left running costs a life, hacking the panel cancels it', () => {
+  const sim = createSim({ map: [
+    '#######',
+    '#@T..A#',
+    '#######',
+  ], rules: { reinforcements: 0 } });
+  sim.walk('thief', 'R').wait(29900);
+  assert.strictEqual(sim.state.alarmStage, 3);
+  assert.strictEqual(sim.state.thief.hp, 3);
+  sim.tick();
+  assert.strictEqual(sim.state.thief.hp, 2);
+  assert.strictEqual(sim.state.alarmActive, true, 'the lockdown keeps the alarm going');
+
+  const calm = createSim({ map: [
+    '#######',
+    '#@T..A#',
+    '#######',
+  ] });
+  calm.walk('thief', 'R').droneTo(5, 1).hack().wait(32000);
+  assert.strictEqual(calm.state.alarmActive, false);
+  assert.strictEqual(calm.state.thief.hp, 3);
+});
+
+test('three alarm timeouts end the game', () => {
+  const sim = createSim({ map: [
+    '#########',
+    '#@TTT...#',
+    '#########',
+  ], rules: { reinforcements: 0 } });
+  for (let i = 0; i < 3; i++) sim.walk('thief', 'R').wait(30000);
+  assert.strictEqual(sim.state.gameOver, true);
+  assert.strictEqual(sim.state.thief.hp, 0);
+});
+
+test('safes open when the thief steps next to the drone cursor', () => {
+  const sim = createSim({ map: [
+    '######',
+    '#@..S#',
+    '######',
+  ] });
+  sim.droneTo(4, 1).walk('thief', 'R');
+  assert.strictEqual(sim.state.safes[0].open, false);
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.safes[0].open, true);
+  assert.strictEqual(sim.state.score, 1500);
+  sim.walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.x, 4, 'open safes are walkable');
+});
+
+test('the exit only opens once every primary loot is taken', () => {
+  const sim = createSim({ map: [
+    '#######',
+    '#>@.*.#',
+    '#######',
+  ] });
+  sim.walk('thief', 'L');
+  assert.strictEqual(sim.state.gameWon, false);
+  sim.walk('thief', 'RRRLLLL');
+  assert.strictEqual(sim.state.exitOpen, true);
+  assert.strictEqual(sim.state.gameWon, true);
+});
+
+test('winning scores loot, time, stealth and objectives', () => {
+  const map = [
+    '#######',
+    '#@*$.>#',
+    '#######',
+  ];
+  const quick = createSim({ map });
+  quick.state.objectives = [];
+  quick.walk('thief', 'RRRR');
+  assert.strictEqual(quick.state.gameWon, true);
+  // 1000 primary + 500 bonus + 3000 time + 2000 no alarm
+  assert.strictEqual(quick.state.score, 6500);
+
+  const slow = createSim({ map });
+  slow.state.objectives = [{ id: 'test', check: () => true, completed: false }];
+  slow.walk('thief', 'RR').wait(60000).walk('thief', 'RR');
+  assert.strictEqual(slow.state.score, 1000 + 500 + 2400 + 2000 + 1000);
+  assert.strictEqual(slow.state.objectives[0].completed, true);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatMetrics } = require('../lib/metrics');
+
+test('metrics come out in the Prometheus text format', () => {
+  const text = formatMetrics([
+    { name: 'heist_rooms', help: 'Active rooms', type: 'gauge', samples: [{ value: 2 }] },
+    { name: 'heist_room_paused', help: 'Paused', type: 'gauge', samples: [
+      { labels: { room: 'ABCD' }, value: true },
+      { labels: { room: 'x"y\\z\n' }, value: false },
+    ] },
+    { name: 'heist_levels_won_total', help: 'Levels won', type: 'counter', samples: [] },
+  ]);
+  assert.strictEqual(text, [
+    '# HELP heist_rooms Active rooms',
+    '# TYPE heist_rooms gauge',
+    'heist_rooms 2',
+    '# HELP heist_room_paused Paused',
+    '# TYPE heist_room_paused gauge',
+    'heist_room_paused{room="ABCD"} 1',
+    'heist_room_paused{room="x\\"y\\\\z\\n"} 0',
+    '# HELP heist_levels_won_total Levels won',
+    '# TYPE heist_levels_won_total counter',
+    '',
+  ].join('\n'));
+});
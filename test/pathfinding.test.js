@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findPath, createSim } = require('../game');
+
+const grid = (rows) => (x, y) => rows[y][x] !== '#';
+
+test('findPath walks around walls and reports unreachable targets', () => {
+  const rows = [
+    '#######',
+    '#..#..#',
+    '#..#..#',
+    '#.....#',
+    '#######',
+  ];
+  const path = findPath(7, 5, grid(rows), { x: 1, y: 1 }, { x: 5, y: 1 });
+  assert.strictEqual(path.length, 8);
+  assert.deepStrictEqual(path[path.length - 1], { x: 5, y: 1 });
+  for (let i = 1; i < path.length; i++) {
+    assert.strictEqual(Math.abs(path[i].x - path[i - 1].x) + Math.abs(path[i].y - path[i - 1].y), 1);
+  }
+  assert.deepStrictEqual(findPath(7, 5, grid(rows), { x: 1, y: 1 }, { x: 1, y: 1 }), []);
+  assert.strictEqual(findPath(7, 5, grid(rows), { x: 1, y: 1 }, { x: 3, y: 1 }), null);
+});
+
+const CORNER = [
+  '##########',
+  '#G.#.....#',
+  '#..#.###.#',
+  '#....#@#.#',
+  '##########',
+];
+
+function visits(sim, guard, ticks) {
+  const seen = new Set();
+  for (let i = 0; i < ticks; i++) {
+    sim.tick();
+    seen.add(`${guard.x},${guard.y}`);
+  }
+  return seen;
+}
+
+function investigate(sim, x, y) {
+  const g = sim.state.guards[0];
+  g.investigateTarget = { x, y };
+  g.alertLevel = 1;
+  g.alertTimer = 60000;
+  return g;
+}
+
+test('investigating guards path around corners', () => {
+  const sim = createSim({ map: CORNER });
+  const g = investigate(sim, 4, 1);
+  assert.ok(visits(sim, g, 50).has('4,1'));
+  assert.strictEqual(g.investigateTarget, null);
+});
+
+test('guard paths are recomputed when a door opens', () => {
+  const map = CORNER.map(r => r.replace('#....#@', '#..D.#@'));
+  const sim = createSim({ map });
+  const g = investigate(sim, 8, 1);
+  sim.tick(6);
+  assert.strictEqual(g.investigateTarget, null, 'gives up while the door is shut');
+
+  sim.droneTo(3, 3).hack();
+  investigate(sim, 8, 1);
+  assert.ok(visits(sim, g, 100).has('8,1'));
+});
+
+test('patrols follow multi-room routes', () => {
+  const sim = createSim({ map: CORNER });
+  const g = sim.state.guards[0];
+  g.route = [{ x: 1, y: 1 }, { x: 8, y: 3 }];
+  const seen = visits(sim, g, 400);
+  assert.ok(seen.has('8,3') && seen.has('1,1'));
+});
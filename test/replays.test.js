@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, REPLAY_MAX_INPUTS } = require('../game');
+const { createReplayRunner } = require('../lib/replays');
+
+function recording() {
+  const sim = createSim({ seed: 'RUNNER', level: 1 });
+  for (let i = 0; i < 10; i++) sim.walk('thief', 'RDLU'[i % 4]).tick(2);
+  return sim.recording();
+}
+
+test('replays are simulated on a worker and come back as frames', async () => {
+  const runner = createReplayRunner();
+  const body = JSON.stringify(recording());
+  const [done, busy] = await Promise.all([runner.run(body), runner.run(body)]);
+  const { frames } = JSON.parse(done.json);
+  assert.strictEqual(frames[0].type, 'state');
+  assert.ok(frames.length >= 20);
+  assert.strictEqual(busy.status, 503, 'one at a time');
+
+  const bad = await runner.run('{"version": 1}');
+  assert.deepStrictEqual(bad, { error: 'Unsupported replay version', status: 400 });
+  const flood = { ...recording(), inputs: new Array(REPLAY_MAX_INPUTS + 1).fill({ t: 0, role: 'thief', action: 'ready' }) };
+  assert.match((await runner.run(JSON.stringify(flood))).error, /more than/);
+});
+
+test('a replay past the size or time limit is refused', async () => {
+  const body = JSON.stringify(recording());
+  assert.match((await createReplayRunner({ maxBytes: 1000 }).run(body)).error, /too big to send/);
+  const slow = await createReplayRunner({ timeoutMs: 1 }).run(body);
+  assert.strictEqual(slow.status, 422);
+  assert.match(slow.error, /too long/);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRoomHost, TICK_MS } = require('../lib/rooms');
+const { createRoomRouter } = require('../lib/router');
+const { resolveRules } = require('../game');
+
+function roomOpts(overrides) {
+  return {
+    seed: 'WORKER', rules: resolveRules(), levelFile: null, levelFileName: null, level: 1, totalScore: 0,
+    carry: null, campaign: 'ABCDEFGH', team: null, levelResults: [], isLocal: false, ...overrides,
+  };
+}
+
+// A host whose posts are collected, and whose rooms tick when the test says
+function testHost() {
+  const posts = [];
+  const saves = [];
+  const loops = new Set();
+  const timers = { setInterval: (fn) => { loops.add(fn); return fn; }, clearInterval: (fn) => loops.delete(fn) };
+  const host = createRoomHost({ post: (m) => posts.push(m), campaigns: { save: (r) => saves.push(r) }, timers });
+  const tick = (n = 1) => { for (let i = 0; i < n; i++) for (const fn of loops) fn(); };
+  const sent = (key) => posts.filter(m => m.type === 'send').flatMap(m => m.messages).filter(([k]) => k === key).map(([, d]) => JSON.parse(d));
+  return { host, posts, saves, tick, sent, loops };
+}
+
+test('each viewer gets a keyframe, then deltas; seats get their acks and the thief its own view', () => {
+  const { host, posts, saves, tick, sent, loops } = testHost();
+  host.handle({ type: 'create', code: 'ROOM', opts: roomOpts() });
+  assert.strictEqual(saves.length, 1, 'saved before the game starts');
+  for (const key of ['thief', 'drone']) host.handle({ type: 'viewer', code: 'ROOM', key, on: true, seat: true });
+  host.handle({ type: 'viewer', code: 'ROOM', key: 'spy', on: true, seat: false });
+  host.handle({ type: 'start', code: 'ROOM' });
+  host.handle({ type: 'input', code: 'ROOM', role: 'thief', seat: 'thief', input: { action: 'ready', seq: 7 } });
+  tick();
+
+  const [thief] = sent('thief'), [drone] = sent('drone'), [spy] = sent('spy');
+  assert.strictEqual(thief.type, 'state');
+  assert.strictEqual(thief.ack, 7);
+  assert.ok(thief.map.some(row => row.includes('?')), 'fog of war');
+  assert.strictEqual(drone.ack, 0);
+  assert.ok(drone.map.every(row => !row.includes('?')));
+  assert.strictEqual(spy.ack, undefined);
+  assert.strictEqual(spy.spectators, 1);
+
+  host.handle({ type: 'input', code: 'ROOM', role: 'drone', seat: 'drone', input: { action: 'ready', seq: 3 } });
+  tick();
+  assert.strictEqual(sent('drone')[1].type, 'delta');
+  assert.strictEqual(sent('drone')[1].set.ack, 3);
+  assert.strictEqual(sent('drone')[1].set.phase, 'heist');
+  host.handle({ type: 'input', code: 'ROOM', role: 'thief', seat: 'thief', input: { action: 'crouch', seq: 8 } });
+  assert.strictEqual(posts.filter(m => m.type === 'status').pop().status.pace, 'crouch', 'for the move rate limit');
+
+  // A dropped input is acknowledged but not played
+  host.handle({ type: 'input', code: 'ROOM', role: 'drone', seat: 'drone', input: { action: 'move', dx: 1, dy: 0, seq: 4 }, dropped: true });
+  tick();
+  const delta = sent('drone')[2];
+  assert.strictEqual(delta.set.ack, 4);
+  assert.ok(!delta.patch || !delta.patch.drone || delta.patch.drone.x === undefined);
+  assert.strictEqual(host.rooms.get('ROOM').recording.inputs.length, 3);
+
+  // Back from a keyframe after a reconnect
+  host.handle({ type: 'viewer', code: 'ROOM', key: 'drone', on: true, seat: true });
+  tick();
+  assert.strictEqual(sent('drone')[3].type, 'state');
+  host.handle({ type: 'remove', code: 'ROOM' });
+  assert.strictEqual(host.rooms.size, 0);
+  assert.strictEqual(loops.size, 0);
+});
+
+test('pausing stops the clock, and finishing the last level hands the run back', () => {
+  const { host, posts, tick, loops } = testHost();
+  host.handle({ type: 'create', code: 'ROOM', opts: roomOpts({ isLocal: true, team: 'Crew' }) });
+  host.handle({ type: 'viewer', code: 'ROOM', key: 'thief', on: true, seat: true });
+  host.handle({ type: 'start', code: 'ROOM' });
+  const room = host.rooms.get('ROOM');
+  for (const role of ['thief', 'drone']) host.handle({ type: 'input', code: 'ROOM', role, seat: 'thief', input: { action: 'ready' } });
+  tick(3);
+  assert.strictEqual(room.gameState.timer, TICK_MS * 3);
+  host.handle({ type: 'pause', code: 'ROOM', paused: true });
+  tick(3);
+  assert.strictEqual(room.gameState.timer, TICK_MS * 3);
+  host.handle({ type: 'pause', code: 'ROOM', paused: false });
+  const stats = host.takeStats();
+  assert.strictEqual(stats.ticks, 6, 'paused rooms still tick');
+  assert.ok('ROOM' in stats.roomTickMs);
+
+  room.level = room.rules.maxLevels;
+  room.gameState.gameWon = true;
+  tick();
+  assert.strictEqual(posts.filter(m => m.type === 'status').pop().status.outcome, 'won');
+  host.handle({ type: 'nextLevel', code: 'ROOM' });
+  const complete = posts.find(m => m.type === 'complete');
+  assert.strictEqual(complete.run.team, 'Crew');
+  assert.strictEqual(complete.run.levels.length, 1);
+  assert.strictEqual(host.rooms.size, 0);
+  assert.strictEqual(loops.size, 0);
+});
+
+test('a room that throws ends on its own, and the others keep ticking', () => {
+  const { host, posts, tick, loops } = testHost();
+  for (const code of ['GOOD', 'BADX']) {
+    host.handle({ type: 'create', code, opts: roomOpts({ isLocal: true }) });
+    host.handle({ type: 'start', code });
+    for (const role of ['thief', 'drone']) host.handle({ type: 'input', code, role, seat: 'thief', input: { action: 'ready' } });
+  }
+  const good = host.rooms.get('GOOD');
+  host.rooms.get('BADX').gameState.guards = null;
+  tick(2);
+  assert.deepStrictEqual(posts.filter(m => m.type === 'failed').map(m => m.code), ['BADX']);
+  assert.deepStrictEqual([...host.rooms.keys()], ['GOOD']);
+  assert.strictEqual(loops.size, 1);
+  assert.strictEqual(good.gameState.timer, TICK_MS * 2);
+
+  // An input the room chokes on ends it the same way
+  good.gameState.thief = null;
+  host.handle({ type: 'input', code: 'GOOD', role: 'thief', seat: 'thief', input: { action: 'move', dx: 1, dy: 0 } });
+  assert.strictEqual(host.rooms.size, 0);
+  assert.strictEqual(posts.filter(m => m.type === 'failed').length, 2);
+});
+
+test('a worker that crashes on startup is restarted with a growing delay, not in a loop', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heist-crash-'));
+  const file = path.join(dir, 'crash.js');
+  fs.writeFileSync(file, "throw new Error('boom');\n");
+  const errors = console.error;
+  console.error = () => {};
+  const router = createRoomRouter({ size: 1, workerData: {}, onMessage: () => {}, onLost: () => {}, file });
+  try {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Restarts after 0.5s and then 1s; a loop with no delay would be in the dozens by now
+    const [worker] = router.stats();
+    assert.ok(worker.restarts >= 1 && worker.restarts <= 3, `${worker.restarts} restarts`);
+    assert.strictEqual(router.assign('AAAA'), worker.alive);
+  } finally {
+    console.error = errors;
+    await router.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the router runs rooms on worker threads and relays what they send', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heist-router-'));
+  const received = [];
+  let onSend;
+  const firstSend = new Promise(resolve => { onSend = resolve; });
+  const router = createRoomRouter({
+    size: 2,
+    workerData: { campaignsDir: dir },
+    onMessage: (msg) => {
+      received.push(msg);
+      if (msg.type === 'send') onSend(msg);
+    },
+    onLost: () => {},
+  });
+  try {
+    for (const code of ['AAAA', 'BBBB']) router.assign(code);
+    assert.deepStrictEqual(router.stats().map(w => w.rooms), [1, 1], 'spread over the workers');
+    router.send('AAAA', { type: 'create', opts: roomOpts({ campaign: 'HGFEDCBA' }) });
+    router.send('AAAA', { type: 'viewer', key: 'thief', on: true, seat: true });
+    router.send('AAAA', { type: 'start' });
+    const msg = await firstSend;
+    assert.strictEqual(msg.code, 'AAAA');
+    assert.strictEqual(JSON.parse(msg.messages[0][1]).type, 'state');
+    assert.ok(received.some(m => m.type === 'status' && m.status.level === 1));
+    assert.ok(fs.existsSync(path.join(dir, 'HGFEDCBA.json')), 'the worker saved the campaign');
+    router.remove('AAAA');
+    assert.deepStrictEqual(router.stats().map(w => w.rooms), [0, 1]);
+  } finally {
+    await router.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveRules, rulesKey, createSim, createGameState, DEFAULT_RULES } = require('../game');
+
+test('presets and overrides resolve to a full rules object', () => {
+  assert.deepStrictEqual(resolveRules(), { preset: 'professional', name: 'Professional', ...DEFAULT_RULES });
+  const legend = resolveRules('legend');
+  assert.strictEqual(legend.alarmDuration, 7000);
+  assert.strictEqual(rulesKey(legend), 'legend');
+
+  // Overriding a value to what the preset already has is not custom
+  assert.strictEqual(resolveRules({ preset: 'legend', hackCost: 35 }).preset, 'legend');
+  const custom = resolveRules({ preset: 'rookie', hackCost: 40 });
+  assert.strictEqual(custom.preset, 'custom');
+  assert.strictEqual(custom.thiefHp, 4);
+  assert.match(rulesKey(custom), /^custom-[0-9a-f]{8}$/);
+  assert.strictEqual(rulesKey(custom), rulesKey(resolveRules({ preset: 'rookie', hackCost: 40 })));
+  assert.notStrictEqual(rulesKey(custom), rulesKey(resolveRules({ preset: 'rookie', hackCost: 41 })));
+
+  assert.throws(() => resolveRules('nightmare'), /Unknown difficulty/);
+  for (const inherited of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.throws(() => resolveRules(inherited), /Unknown difficulty/, inherited);
+    assert.throws(() => resolveRules({ preset: inherited }), /Unknown difficulty/, inherited);
+  }
+  assert.throws(() => resolveRules({ hackCost: 0 }), /hackCost must be/);
+  assert.throws(() => resolveRules({ thiefHp: '3' }), /thiefHp must be/);
+});
+
+test('a state takes its starting stats and guard speed from the rules', () => {
+  const rookie = createGameState(2, null, 'RULES', resolveRules('rookie'));
+  assert.strictEqual(rookie.thief.hp, 4);
+  assert.strictEqual(rookie.drone.maxBattery, 125);
+  assert.strictEqual(rookie.drone.hackCost, 15);
+  assert.ok(rookie.guards.every(g => g.speed === 550));
+  assert.ok(createGameState(2, null, 'RULES').guards.every(g => g.speed === 400));
+});
+
+test('guard sight and the alarm timer follow the rules', () => {
+  const map = [
+    '########',
+    '#G...@.#',
+    '########',
+  ];
+  const spotted = (rules) => {
+    const sim = createSim({ map, rules });
+    sim.state.guards[0].dir = 1;
+    sim.tick(5); // guards look around when they step
+    return sim.state.alarmActive;
+  };
+  assert.strictEqual(spotted('professional'), false);
+  assert.strictEqual(spotted('legend'), true);
+
+  const sim = createSim({ map, rules: { alarmDuration: 4000 } });
+  sim.state.guards[0].dir = 1;
+  sim.state.guards[0].x = 4;
+  sim.state.guards[0].route = [{ x: 4, y: 1 }];
+  sim.tick(5);
+  assert.strictEqual(sim.state.alarmActive, true);
+  assert.ok(sim.state.alarmTimer > 3500 && sim.state.alarmTimer <= 4000);
+});
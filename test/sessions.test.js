@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSessionSigner } = require('../lib/sessions');
+
+test('a token gives back the seat it was issued for', () => {
+  const sessions = createSessionSigner('secret');
+  const token = sessions.issue({ code: 'ABCD', role: 'drone', id: 'f00d' });
+  assert.deepStrictEqual(sessions.verify(token), { code: 'ABCD', role: 'drone', id: 'f00d' });
+  // The same secret checks tokens from before, e.g. across a restart with HEIST_SESSION_SECRET set
+  assert.deepStrictEqual(createSessionSigner('secret').verify(token), { code: 'ABCD', role: 'drone', id: 'f00d' });
+});
+
+test('forged, altered and malformed tokens are refused', () => {
+  const sessions = createSessionSigner('secret');
+  const token = sessions.issue({ code: 'ABCD', role: 'drone', id: 'f00d' });
+  const [, mac] = token.split('.');
+  const thief = Buffer.from(JSON.stringify({ code: 'ABCD', role: 'thief', id: 'f00d' })).toString('base64url');
+
+  assert.strictEqual(sessions.verify(`${thief}.${mac}`), null, 'another seat under the same signature');
+  assert.strictEqual(createSessionSigner('other').verify(token), null, 'signed with another secret');
+  assert.strictEqual(createSessionSigner().verify(token), null, 'a random secret per signer');
+  for (const bad of [undefined, 42, '', 'nodot', `${token}.x`, `${token}x`, 'a'.repeat(600)]) {
+    assert.strictEqual(sessions.verify(bad), null);
+  }
+});
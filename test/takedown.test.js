@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, OBJECTIVE_TEMPLATES } = require('../game');
+const { levelResult } = require('../lib/leaderboard');
+
+const corridor = [
+  '#########',
+  '#@G.....#',
+  '#########',
+];
+
+test('a patrolling guard can only be taken down from behind', () => {
+  const facing = (dir, alertLevel = 0) => {
+    const sim = createSim({ map: corridor });
+    const g = sim.state.guards[0];
+    g.dir = dir;
+    g.alertLevel = alertLevel;
+    sim.input('thief', 'takedown');
+    return g.unconscious;
+  };
+  assert.strictEqual(facing(1), true);
+  assert.strictEqual(facing(3), false, 'face to face');
+  assert.strictEqual(facing(0), false, 'from the side');
+  assert.strictEqual(facing(1, 1), false, 'a suspicious guard is on guard');
+
+  const sim = createSim({ map: corridor });
+  const g = sim.state.guards[0];
+  g.dir = 3;
+  sim.droneTo(2, 1).hack();
+  assert.strictEqual(g.frozen, true);
+  sim.input('thief', 'takedown');
+  assert.strictEqual(g.unconscious, true, 'a frozen guard from any side');
+  assert.strictEqual(g.frozen, false);
+  assert.strictEqual(sim.state.takedowns, 1);
+  assert.ok(sim.state.sounds.includes('takedown'));
+
+  sim.wait(10000);
+  assert.deepStrictEqual({ x: g.x, y: g.y, alertLevel: g.alertLevel }, { x: 2, y: 1, alertLevel: 0 }, 'out cold for good');
+  assert.strictEqual(sim.state.thief.hp, 3);
+});
+
+test('the thief drags a body along behind them and drops it', () => {
+  const sim = createSim({ map: corridor });
+  const g = sim.state.guards[0];
+  g.dir = 1;
+  sim.input('thief', 'takedown').walk('thief', 'R');
+  sim.input('thief', 'drag');
+  assert.strictEqual(sim.state.thief.dragging, 0);
+  sim.walk('thief', 'RRR');
+  assert.deepStrictEqual({ x: g.x, y: g.y }, { x: 4, y: 1 });
+  sim.input('thief', 'drag').walk('thief', 'R');
+  assert.strictEqual(sim.state.thief.dragging, null);
+  assert.deepStrictEqual({ x: g.x, y: g.y }, { x: 4, y: 1 });
+});
+
+test('a guard or camera that sees a body raises the alarm, once', () => {
+  const sim = createSim({ map: [
+    '#########',
+    '#@G..G.A#',
+    '#.#######',
+    '#.#######',
+    '#########',
+  ] });
+  const [body, other] = sim.state.guards;
+  body.dir = 1;
+  other.dir = 3;
+  sim.input('thief', 'takedown').walk('thief', 'DD').tick(5);
+  assert.strictEqual(body.discovered, true);
+  assert.strictEqual(sim.state.alarmActive, true);
+  assert.strictEqual(sim.state.thief.action, 'BODY FOUND!');
+  assert.strictEqual(other.alertLevel, 1);
+
+  sim.droneTo(7, 1).hack().tick(5);
+  assert.strictEqual(sim.state.alarmActive, false, 'a found body is only reported once');
+
+  const cam = createSim({ map: [
+    '#########',
+    '#@G..C..#',
+    '#########',
+  ] });
+  cam.state.guards[0].dir = 1;
+  cam.state.cameras[0].dir = 3;
+  cam.input('thief', 'takedown').tick();
+  assert.strictEqual(cam.state.alarmActive, true);
+});
+
+test('takedowns fail the ghost and pacifist objectives', () => {
+  const objective = (id) => OBJECTIVE_TEMPLATES.find(o => o.id === id);
+  const sim = createSim({ map: corridor });
+  assert.strictEqual(objective('ghost').check(sim.state), true);
+  assert.strictEqual(objective('pacifist').check(sim.state), true);
+  sim.state.guards[0].dir = 1;
+  sim.input('thief', 'takedown');
+  assert.strictEqual(sim.state.alertTriggered, false);
+  assert.strictEqual(objective('ghost').check(sim.state), false);
+  assert.strictEqual(objective('pacifist').check(sim.state), false);
+  assert.strictEqual(levelResult(sim.state).takedowns, 1);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { messageProblem, createMessageGuard, createRateLimiter, clientAddress, MOVE_INTERVAL_MS } = require('../lib/validation');
+const { createSim } = require('../game');
+
+test('messages must match their type\'s schema, and moves must be one step', () => {
+  for (const ok of [
+    { type: 'host', seed: 'ABC', rules: 'rookie' },
+    { type: 'hostLocal', rules: { preset: 'pro', hackTime: 9000 } },
+    { type: 'reconnect', token: 'a.b' },
+    { type: 'input', action: 'move', dx: 0, dy: -1, role: 'drone' },
+    { type: 'input', action: 'gadget', gadget: 'smoke', dx: 0, dy: 0 },
+    { type: 'input', action: 'hackSubmit', answer: [0, 3, 2] },
+    { type: 'retry', extra: 'ignored' },
+  ]) assert.strictEqual(messageProblem(ok), null, JSON.stringify(ok));
+
+  for (const bad of [
+    null, [], 'move', { type: 'teleport' }, { type: 'toString' }, { type: 'join' },
+    { type: 'join', code: { $ne: 1 } },
+    { type: 'host', rules: { hackTime: '9000' } },
+    { type: 'input', action: 'noclip' },
+    { type: 'input', action: 'move', dx: 10, dy: 0 },
+    { type: 'input', action: 'move', dx: 1, dy: 1 },
+    { type: 'input', action: 'move', dx: 0.5, dy: 0 },
+    { type: 'input', action: 'move' },
+    { type: 'input', action: 'gadget', dx: -3 },
+    { type: 'input', action: 'ping', role: 'guard' },
+    { type: 'input', action: 'hackSubmit', answer: 'open sesame' },
+    { type: 'chat', text: 'x'.repeat(5000) },
+  ]) assert.notStrictEqual(messageProblem(bad), null, JSON.stringify(bad));
+});
+
+test('moves are held to a pace per role, quicker while the thief sprints and slower while crouched or dragging', () => {
+  let t = 0;
+  const guard = createMessageGuard({ now: () => t });
+  const burst = (role, pace, every) => {
+    let passed = 0;
+    for (let i = 0; i < 20; i++, t += every) if (!guard.checkMove(role, pace)) passed++;
+    return passed;
+  };
+  assert.strictEqual(burst('thief', 'walk', MOVE_INTERVAL_MS.thief), 20, 'a held key');
+  assert.strictEqual(burst('drone', undefined, MOVE_INTERVAL_MS.drone), 20, 'each role has its own pace');
+  t += 1000;
+  assert.ok(burst('thief', 'walk', MOVE_INTERVAL_MS.sprint) < 15, 'sprint pace without sprinting');
+  t += 1000;
+  assert.strictEqual(burst('thief', 'sprint', MOVE_INTERVAL_MS.sprint), 20);
+  t += 1000;
+  assert.ok(burst('drone', undefined, 0) <= 3, 'a flood');
+  assert.ok(guard.strikes['drone moving too fast'] >= 17);
+
+  for (const pace of ['crouch', 'drag']) {
+    t += 1000;
+    assert.ok(burst('thief', pace, MOVE_INTERVAL_MS.thief) < 15, `walking pace at the ${pace} pace`);
+    t += 1000;
+    assert.strictEqual(burst('thief', pace, MOVE_INTERVAL_MS[pace]), 20);
+  }
+});
+
+test('strikes add up to a kick, and floods count as strikes', () => {
+  let t = 0;
+  const guard = createMessageGuard({ kickAfter: 3, now: () => t });
+  assert.strictEqual(guard.check({ type: 'retry' }), null);
+  assert.deepStrictEqual(guard.check({ type: 'teleport' }), { reason: 'unknown message type teleport', count: 1, total: 1, kick: false });
+  guard.check({ type: 'teleport' });
+  assert.strictEqual(guard.check({ type: 'input', action: 'move', dx: 4, dy: 0 }).kick, true);
+
+  const quiet = createMessageGuard({ now: () => t });
+  let flood = 0;
+  for (let i = 0; i < 200; i++) if (quiet.check({ type: 'retry' })) flood++;
+  assert.ok(flood > 100);
+  assert.strictEqual(quiet.check({ type: 'retry' }).kick, false, 'no kicking unless asked');
+});
+
+test('the game itself ignores moves that aren\'t one step, e.g. from an uploaded replay', () => {
+  const sim = createSim({ map: ['#######', '#@....#', '#######'] });
+  sim.input('thief', 'move', { dx: 3, dy: 0 }).input('drone', 'move', { dx: 2, dy: 0 });
+  assert.strictEqual(sim.state.thief.x, 1);
+  const droneX = sim.state.drone.x;
+  sim.input('thief', 'move', { dx: 1, dy: 0 }).input('drone', 'move', { dx: 1, dy: 0 });
+  assert.strictEqual(sim.state.thief.x, 2);
+  assert.strictEqual(sim.state.drone.x, droneX + 1);
+});
+
+test('the rate limiter gives each key its own burst', () => {
+  let t = 0;
+  const limit = createRateLimiter({ intervalMs: 1000, burst: 2, now: () => t });
+  assert.deepStrictEqual([limit.take('a'), limit.take('a'), limit.take('a'), limit.take('b')], [true, true, false, true]);
+  t += 1000;
+  assert.deepStrictEqual([limit.take('a'), limit.take('a')], [true, false]);
+});
+
+test('behind Fly, requests from two clients are limited separately', () => {
+  const request = (client) => ({ ip: '172.16.0.1', get: (name) => (name === 'fly-client-ip' ? client : undefined) });
+  const limit = createRateLimiter({ intervalMs: 1000, burst: 1, now: () => 0 });
+  const take = (client, behindFly) => limit.take(clientAddress(request(client), behindFly));
+  assert.deepStrictEqual([take('203.0.113.5', true), take('203.0.113.5', true), take('198.51.100.7', true)], [true, false, true]);
+  // Off Fly the header is ignored, so it can't buy a fresh bucket
+  assert.deepStrictEqual([take('203.0.113.5', false), take('198.51.100.7', false)], [true, false]);
+  assert.strictEqual(clientAddress(request(undefined), true), '172.16.0.1');
+});